@@ -4,9 +4,14 @@
  * @author Vili Pelttari
  */
 const util = require("./lib/util.js");
+const fields = require("./lib/fields.js");
 const fs = require("fs");
 var interface = {};
 
+// Backend to send the data to: "socket" for socket.io, "mqtt" for an MQTT broker, or "none".
+// Set with '--backend'. '-o' is the same as '--backend none'. See lib/comm.js
+interface.backend = "socket";
+
 interface.mqtt = {};
 interface.mqtt.host = 'mqtt://localhost:10311';
 interface.mqtt.options = {
@@ -15,6 +20,18 @@ interface.mqtt.options = {
   cert: fs.readFileSync('certs/mqttClientKey.crt'),*/
   rejectUnauthorized: false
 };
+// MQTT topic of the messages to the backend. '{topic}' is replaced by the topic of the message,
+// like "event" or "sensordata", and '{id}' by its SensorTag ID. For example "jtkj/{id}/{topic}"
+interface.mqtt.publishTopic = "{topic}";
+// MQTT topics of the messages from the backend by downlink event, see lib/comm.js. The topics can
+// have the wildcards '+' and '#'
+interface.mqtt.subscribeTopics = {
+  tamagotchiNotification: "tamagotchiNotification",
+  game: "game"
+};
+// QoS of the published messages: 1 at least once, 2 exactly once. The broker acknowledges each
+// message, and a sensor data session is removed from disk only after that. 0 is used as 1
+interface.mqtt.qos = 1;
 
 interface.socket = {};
 interface.socket.host = "https://computer-systems-database-connector-2021.rahtiapp.fi";
@@ -23,13 +40,34 @@ interface.socket.options = {
   secure: true,
   path: "/api/v1/databaseconnector/sockets"
 };
-
-interface.offline = false;
+// Time in ms for the backend to call the acknowledgement callback of a message. A sensor data
+// session that is not acknowledged is kept on disk and sent again
+interface.socket.ackTimeout = 10000;
 
 // XXX: There are interface server related values at the bottom
 interface.uart = {};
 interface.uart.txlength = 80;
 interface.uart.baudRate = 9600;
+// Time for the receiver to handle a message before the next one is sent, in milliseconds. The
+// transmission time of a message at the baud rate is waited in addition to this
+interface.uart.txGap = 20;
+// Maximum number of messages waiting in the send queue of a port. When the queue is full, either
+// the oldest message of the lowest priority ("oldest") or the new message ("newest") is dropped.
+// Messages are never dropped for a message of a lower priority
+interface.uart.maxQueue = 32;
+interface.uart.dropPolicy = "oldest";
+
+// Acknowledged mode: published messages carry a sequence number and are sent again until the
+// receiver replies with 'ACK:<seq>'. Set with '-a'
+interface.uart.ack = false;
+interface.uart.ackTimeout = 500; // Time to wait for the first ACK in ms. Doubled after every try
+interface.uart.ackRetries = 3; // How many times a message is sent again before giving up
+// Received text messages can end in a checksum, '*XX' or '*XXXX', see lib/checksum.js. A matching
+// checksum is always removed. When true, messages without a matching checksum are rejected. When
+// false, a message whose ending doesn't match is read as it is and counted. Set with '-c'
+interface.uart.requireChecksum = false;
+// Reply 'ERR:<codes>' to a SensorTag whose message had errors, see lib/errors.js. Set with '-e'
+interface.uart.errorReplies = false;
 
 // UART message parser type
 interface.uart.pipe = "delimiter";
@@ -44,29 +82,118 @@ interface.uart.rxlength = 82;
 interface.ports = {};
 interface.ports.autofind = true;
 interface.ports.maxTries = 5;
+// How often the list of serial devices is checked for added and removed devices, in milliseconds.
+// The list is read with SerialPort.list(), as there are no events for plugged devices
+interface.ports.pollInterval = 500;
+// How often the list is checked when no device is waited for: the port is connected, or in gateway
+// mode every accepted device is connected. A new device is found this much later
+interface.ports.idlePollInterval = 5000;
+// Rules for automatically accepting a serial device as a SensorTag. A device is accepted if all the
+// fields of some rule match its info from SerialPort.list(). The fields are case insensitive regular
+// expressions, and can be vendorId, productId, serialNumber, manufacturer, pnpId or path.
+// The default rules should work on Windows and Linux
+interface.ports.match = [
+  {pnpId: "Texas.*if00$"},
+  {pnpId: "USB\\\\VID_0451.*0000$"}
+];
+// The port that last passed the challenge is remembered in this file, and tried first next time
+interface.ports.stateFile = ".interface-state.json";
+// Fixed port to connect to instead of searching. Either a device path, a virtual port like
+// 'sim://0123', or the serial number of the device to wait for. Set with the '--port' flag
+interface.ports.path = undefined;
+
+// Calibrations of the SensorTags, set with the '.cal' command. See lib/calibration.js
+interface.calibration = {};
+interface.calibration.file = "calibration.json";
+
+// Sensor data sessions are saved to this directory as they are recorded, so that they survive
+// crashes and restarts. See lib/session.js
+interface.sessions = {};
+interface.sessions.dir = "sessions";
+// A session that was being recorded when the interface stopped is "resume"d if the SensorTag
+// continues sending rows, or ended and sent right away with "send"
+interface.sessions.recovered = "resume";
+// Memory for the rows of all the sessions being recorded, in bytes. Rows that don't fit are
+// rejected. See lib/table.js for how the memory is counted
+/* A row takes 8 bytes and a bit for each sensor that has values in the session. Raspberry 3 Model
+ *  B+ has about 924 MiB of RAM, and after starting three docker containers and this interface
+ *  program, there is 440 MiB free. 256 MiB leaves room for the rest of the interface, and holds for
+ *  example 1000 SensorTags sending 11 sensors at 20 Hz for two and a half minutes each:
+ *    256 MiB / (1000 * 11 * 8 B * 20 Hz) ≈ 152 s
+ *  The typed arrays are allocated outside the JavaScript heap, so its size limit doesn't apply.
+ */
+interface.sessions.memoryBudget = 256 * 1024 * 1024;
+// How the sessions are processed before sending, unless a SensorTag gives other options with
+// 'session:start', like 'session:start;every=4;stats'. See lib/processing.js
+interface.sessions.processing = {
+  every: 1,   // keep every Nth row
+  window: 0,  // average over time windows of this many ms, 0 disables
+  stats: false // add the count, min, max, mean and stddev of each sensor
+};
+// Send the sessions in chunks of this many rows while they are recorded, for long sessions. Each
+// chunk has the sessionID of its session, the chunk number 'seq' from 0, and 'final' true in the
+// last chunk, sent at 'session:end'. 0 sends a session as a whole at 'session:end', for backends
+// that don't support chunks
+interface.sessions.chunkRows = 0;
+// A session that gets no rows in this time, in ms, is closed automatically. 0 never closes it
+interface.sessions.idleTimeout = 60000;
+// How a session is closed automatically after the idle timeout, or when the port of its SensorTag
+// closes: "send" ends and sends it, "discard" throws its rows away
+interface.sessions.closePolicy = "send";
+// Ended sessions that could not be sent to the backend are tried again this often, in ms
+interface.sessions.retryInterval = 10000;
+
+// Messages to the backend are queued in this file while it is not connected, and sent in order
+// when it connects. See lib/outbox.js
+interface.outbox = {};
+interface.outbox.file = "outbox.jsonl";
+// Most messages in the queue. When it is full, the oldest message is dropped
+interface.outbox.maxMessages = 10000;
+
+// Ended sessions are also written to files in this directory, one for each session. See
+// lib/exporter.js
+interface.export = {};
+interface.export.dir = "export";
+// File formats of the export: "csv" and/or "json". Empty disables the export. Set with '--export'
+interface.export.formats = [];
+// Export the sessions as they were received, without the processing of interface.sessions.processing
+interface.export.raw = true;
+
+// Clock synchronisation with the SensorTags, see lib/clock.js
+interface.sync = {};
+// Send 'SYNC:<epoch ms>' to all known SensorTags this often, in ms. 0 sends only when a SensorTag
+// asks with 'sync'
+interface.sync.interval = 0;
+// Length of one SensorTag clock tick in ms. The TI-RTOS Clock tick is 10 µs by default: 0.01
+interface.sync.tickPeriod = 1;
+// Number of the latest sync replies used for estimating the offset and drift of a clock
+interface.sync.samples = 16;
+// A sync reply has to arrive within this time from the SYNC, in ms. A slower reply is inaccurate
+interface.sync.timeout = 2000;
+
+// Simulated SensorTag / ServerTag behind the virtual 'sim://' port. The ID can also be given in the
+// port path ('sim://abcd'). See lib/simTag.js for the script format
+interface.sim = {};
+interface.sim.id = "0123";
+interface.sim.script = undefined;
+interface.sim.ackLoss = 0; // Fraction of ACKs the simulated tag leaves unsent in the acknowledged mode
+
+// Recording UART frames to a capture file ('--record'), and replaying the received frames of a
+// capture file through a virtual 'replay://' port ('--replay'). See lib/capture.js for the format
+interface.capture = {};
+interface.capture.record = undefined;
+interface.capture.replaySpeed = 1; // 2 replays twice as fast as recorded, 0 without any waiting
 
 // Mutes the 'Broker unreachable' warning if it is spammed
 interface.muteConnectionError = false;
 
+// Gateway mode: connect to every matching port at once instead of just one. Set with '-g'
+interface.gateway = false;
+
 // Time after which connected addresses aren't remembered, in milliseconds.
 // Used for limiting reply messages from being broadcast from multiple interfaces
 interface.connectedAddressTimeout = 10000;
 
-// How many rows of sensor data will be gathered from any SensorTag.
-/* Value is an approximation: 
- *  Raspberry 3 Model B+ has about 924 MiB of RAM. After starting three docker containers and this
- *  interface program, there is 440 MiB free RAM. If at maximum we would allocate 400 MiB for the
- *  session data, assuming there are 1000 SensorTags, each sensor value is 64 bits = 8 bytes, there
- *  is no data structure overhead, and there are 11 different sensor data columns, this results in
- *    400 MiB / (1000*8*11/1024^2 MiB) ≈ 4766
- *  rows of data per SensorTag.
- *
- *  The value 4500 enables a SensorTag to send sensor data for 3 minutes 45 seconds, one row every
- *  50 milliseconds. If the maximum number of rows is exceeded, extra rows are not added to sensor
- *  data, and session:end still sends the so-far accumulated data to the database.
- */
-interface.maxSessionRows = 4500;
-
 interface.topics = [ // All possible SensorTag data topics. Dummy topics are used for interface commands
   "event",
   "tamaActions",
@@ -77,6 +204,7 @@ interface.topics = [ // All possible SensorTag data topics. Dummy topics are use
 /**
  * Different data fields to be received via UART.
  *
+ * The fields are described in the schema file fields.json, see lib/fields.js for its format.
  * Element description: A dictionary with values
  *  shortName - name in received UART message
  *  nameInDB  - name to be used when sending the property via backend connection
@@ -85,219 +213,12 @@ interface.topics = [ // All possible SensorTag data topics. Dummy topics are use
  *              be sent to backend. Undefined otherwise
  *  fun       - A Promise-type function with one argument, used to parse the data from the UART
  *              message. Argument is the data belonging to this property ({shortName}:{argument}).
- *              Resolve gives the processed data on success, and reject message is shown in terminal on fail.
+ *              Resolve gives the processed data on success. Reject gives an error from lib/errors.js,
+ *              which is shown in terminal and can be replied to the SensorTag.
+ *  schema    - the field description from the schema file
  */
-interface.dataTypes = [{
-    shortName: "time",
-    nameInDB: "timeStamp",
-    topics: ["event", "sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => { // d is String
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric timestamp: " + d);
-      resolve(a);
-    }),
-  }, { // ID is special. It will be picked in the readDataTokens and forwarded to other functions. TODO experiment if this can be relaxed
-    shortName: "id",
-    nameInDB: "sensortagID",
-    topics: ["event", "additionalMessages"],
-    forceSend: false, // Reception doesn't warrant a send on the associated topics
-    fun: d => new Promise((resolve, reject) => {
-      if (!isNaN(Number("0x" + d)) && d.length <= 4 && d != '') {
-        resolve(d);
-      } else reject("Error: SensorTag ID has to be 4 hex digits: " + d);
-    }),
-  }, {
-    shortName: "ping",
-    nameInDB: "ping",
-    topics: ["commands"], // dummy topic
-    forceSend: false, // don't send interface-related data to backend
-    fun: d => new Promise((resolve, reject) => {
-      resolve("pong");
-    }),
-  }, {
-    shortName: "session",
-    nameInDB: "session",
-    topics: ["commands"], // dummy topic
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      if (["start", "end"].includes(d)) resolve(d == "start");
-      else reject("Error: Session instruction not recognized: " + d);
-    }),
-  },
-
-
-  {
-    shortName: "EAT",
-    nameInDB: "eat",
-    topics: ["tamaActions"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric EAT increment: " + d);
-      if (!Number.isFinite(a)) reject("Error: Tamagotchi cannot EAT the amount: " + a);
-      resolve([a, 0, 0]);
-    }),
-  },
-  {
-    shortName: "EXERCISE",
-    nameInDB: "exercise",
-    topics: ["tamaActions"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric EXERCISE increment: " + d);
-      if (!Number.isFinite(a)) reject("Error: Tamagotchi cannot EXERCISE the amount: " + a);
-      resolve([0, a, 0]);
-    }),
-  },
-  {
-    shortName: "PET",
-    nameInDB: "pet",
-    topics: ["tamaActions"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric PET increment: " + d);
-      if (!Number.isFinite(a)) reject("Error: Tamagotchi cannot be PET the amount: " + a);
-      resolve([0, 0, a]);
-    }),
-  },
-  {
-    shortName: "ACTIVATE",
-    nameInDB: "ACTIVATE",
-    topics: ["tamaActions"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = d.split(";").map(k => Number(k));
-      if (a.length != 3) reject("Error: ACTIVATE needs three arguments.");
-      if (a.some(k => isNaN(k)) || d == '') reject("Error: Non-numeric ACTIVATE increment: " + d);
-      if (a.some(k => Number.isFinite(a))) reject("Error: Tamagotchi cannot be ACTIVATEd the amounts: " + d);
-      resolve(a);
-    }),
-  },
-  {
-    shortName: "MSG1",
-    nameInDB: "msg1",
-    topics: ["additionalMessages"],
-    forceSend: true,
-    fun: d => new Promise((resolve, reject) => {
-      resolve(d);
-    }),
-  },
-  {
-    shortName: "MSG2",
-    nameInDB: "msg2",
-    topics: ["additionalMessages"],
-    forceSend: true,
-    fun: d => new Promise((resolve, reject) => {
-      resolve(d);
-    }),
-  },
-
-
-  {
-    shortName: "temp",
-    nameInDB: "temperature",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d); // Usage of Number is important: It makes sure the whole string is numeric!
-      if (isNaN(a) || d == '') reject("Error: Non-numeric temperature: " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "humid",
-    nameInDB: "humidity",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric humidity: " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "press",
-    nameInDB: "pressure",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric pressure: " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "light",
-    nameInDB: "lightIntensity",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric light intensity: " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "ax",
-    nameInDB: "ax", // ax is used as a special variable in the unwrap function
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric acceleration (x): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "ay",
-    nameInDB: "ay",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric acceleration (y): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "az",
-    nameInDB: "az",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric acceleration (z): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "gx",
-    nameInDB: "gx",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric gyroscope (x): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "gy",
-    nameInDB: "gy",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric gyroscope (y): " + d);
-      resolve(a);
-    }),
-  }, {
-    shortName: "gz",
-    nameInDB: "gz",
-    topics: ["sensordata"],
-    forceSend: false,
-    fun: d => new Promise((resolve, reject) => {
-      let a = Number(d);
-      if (isNaN(a) || d == '') reject("Error: Non-numeric gyroscope (z): " + d);
-      resolve(a);
-    }),
-  }
-];
+interface.fieldsFile = __dirname + "/fields.json";
+interface.dataTypes = fields.loadFields(interface.fieldsFile, interface.topics);
 
 // Server settings:
 
@@ -319,8 +240,9 @@ interface.debugMode = false;
 util.parseArgv(interface);
 
 // Global variables
-interface.connectedAddresses = {};
-interface.port = undefined; // the serial port after it has been found and connected to
+interface.connectedAddresses = {}; // {time, path} of the last message by SensorTag ID, see util.normalizeId
+interface.checksumErrors = {}; // number of messages with a bad or missing checksum by SensorTag ID
+interface.connections = {}; // the open ports by path, see main() in interface.js
 
 
 module.exports = interface;
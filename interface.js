@@ -29,35 +29,59 @@ const
    Delimiter = require("@serialport/parser-delimiter");
   portFinder = require("./lib/portFinder");
   SerialPort = require("serialport");
+   transport = require("./lib/transport");
    interface = require("./config");
     readline = require("readline");
       reader = require("./lib/reader");
         uart = require("./lib/uart");
         util = require("./lib/util");
-        comm = require("./lib/comm-socket");
+        comm = require("./lib/comm");
+        Fifo = require("queue-fifo");
+     capture = require("./lib/capture");
+ calibration = require("./lib/calibration");
+       clock = require("./lib/clock");
+     session = require("./lib/session");
+      outbox = require("./lib/outbox");
 
 /**
  * @brief The main program. Handles UART communication
- * @param Path The path to a serial port that is for the SensorTag
+ * @param Path The path to a serial port that is for the SensorTag, or a virtual port (see transport.js)
  *
  * The port will be tested with a challenge - response scheme. This prevents plugging in wrong
  * ServerTags and realigns the parse buffers on both ends if necessary. The ServerTag health
  * will be monitored with heartbeat messaging.
+ *
+ * Each open port has its own connection object in interface.connections, so that in gateway mode
+ * every port has an independent parser, challenge, heartbeat and send queue.
  */
 function main(path) {
-  let parser, heartbeatService;
-  interface.port = new SerialPort(path, {baudRate: interface.uart.baudRate}, function(err) {
+  let conn = {
+    path: path,
+    port: undefined,
+    parser: undefined,
+    responded: false, // communicate if the challenge-response has been cleared
+    hbTime: Date.now(),
+    heartbeatService: undefined,
+    sendBuffer: [new Fifo(), new Fifo(), new Fifo()], // outgoing UART messages by priority, see uart.js
+    txBusy: false, // a message is being transmitted
+    drops: 0, // messages dropped from the full send queue
+    seq: 0, // sequence number of the last acknowledged mode message
+    pending: {} // messages waiting for an ACK, by sequence number
+  };
+  interface.connections[path] = conn;
+  conn.port = transport.open(path, {baudRate: interface.uart.baudRate}, function(err) {
     if (err === null) return;
     util.showMsg("error", "Bad port: " + err.message);
-    portFinder.findPorts().then(main);
+    if (interface.gateway) portFinder.nextPort(path); // don't try a broken port forever
+    setTimeout(lostPort, 1500, path); // a given port would be retried right away
     return; // leave portfinder to searching and exit main meanwhile
   });
 
   try {
     if (interface.uart.pipe == "length"){
-      parser = interface.port.pipe(new ByteLength({length: interface.uart.rxlength}));
+      conn.parser = conn.port.pipe(new ByteLength({length: interface.uart.rxlength}));
     } else {
-      parser = interface.port.pipe(new Delimiter({delimiter: interface.uart.delim}));
+      conn.parser = conn.port.pipe(new Delimiter({delimiter: interface.uart.delim}));
     }
   } catch(e) {
     util.showMsg("error", "Error opening port parser: " + e.message);
@@ -65,42 +89,98 @@ function main(path) {
   }
 
   if (interface.isServer) {
-    uart.hbTime = Date.now();
-    heartbeatService = setInterval(uart.heartbeat, interface.heartbeatInterval); // check ServerTag every 15 seconds
+    conn.heartbeatService = setInterval(uart.heartbeat, interface.heartbeatInterval, conn); // check ServerTag every 15 seconds
   }
 
-  interface.port.on("close", (err) => { // disconnection detection is slow on some devices
-    if (err != null && err.disconnected) {
-      util.showMsg("error", "The SensorTag server disconnected from USB! Please reconnect.");
+  conn.port.on("close", (err) => { // disconnection detection is slow on some devices
+    if (err != null && err.disconnected && transport.isVirtual(path)) {
+      util.showMsg("error", err.message + ". Attempting to reconnect.");
+    } else if (err != null && err.disconnected) {
+      util.showMsg("error", "The SensorTag server at " + path + " disconnected from USB! Please reconnect.");
     } else if (err != null) {
-      util.showMsg("error", "Unencountered error with UART connection. Attempting to reconnect.");
+      util.showMsg("error", "Unencountered error with UART connection at " + path + ". Attempting to reconnect.");
     }
+    if (interface.isServer) clearInterval(conn.heartbeatService);
+    uart.clearPending(conn);
+    // the SensorTags of the port can't continue their sessions. On exit they are kept for resuming
+    if (!conn.exiting) session.closePort(path);
     setTimeout(() => {
-      if (uart.responded) {
+      if (conn.responded && !interface.gateway) { // other ports are still in use in gateway mode
         process.stdout.write("\033[2J\033[1H\033[s"); // clear console, move cursor to first line, save position
-        uart.responded = false;
       }
-      if (interface.isServer) clearInterval(heartbeatService);
-      parser.destroy();
-      portFinder.findPorts().then(main); // retry connection
+      conn.responded = false;
+      conn.parser.destroy();
+      lostPort(path); // retry connection
       return; // leave portfinder to searching and exit main meanwhile
     }, 1500);
   });
 
   // Main functionality after connection is established:
-  interface.port.on("open", () => {
-    let dict = [], topic = "";
-    util.showMsg("info", "UART connection opened.");
-    if (interface.isServer) setTimeout(uart.sendChallenge, 1000);
-    else uart.responded = true;
-    parser.on("data", function(data) {
-      if (!uart.responded && !uart.parseChallenge(data)) return;
+  conn.port.on("open", () => {
+    util.showMsg("info", "UART connection opened" + (interface.gateway ? " at " + path : "") + ".");
+    if (interface.isServer) setTimeout(uart.sendChallenge, 1000, conn);
+    else {
+      conn.responded = true;
+      portFinder.remember(path);
+    }
+    uart.uartSender(conn); // send messages queued before opening
+    conn.parser.on("data", function(data) {
+      capture.record("rx", conn, data);
+      if (!conn.responded && !uart.parseChallenge(data, conn)) return;
       // read the data, send via MQTT on success and show errors in console on failure
-      reader.unwrap(data).then(comm.sendMsgs).catch(str => util.showMsg("error", str));
+      reader.unwrap(data, conn).then(comm.sendMsgs).catch(str => util.showMsg("error", str));
     });
   });
 }
 
+/**
+ * @brief Forget a closed port and start looking for a port to connect to
+ * @param path Path of the closed port
+ *
+ * In gateway mode the port watcher connects to the port again once it is available.
+ */
+function lostPort(path) {
+  delete interface.connections[path];
+  if (interface.gateway && !interface.ports.path) portFinder.connectAll();
+  else portFinder.findPorts().then(main);
+}
+
+/**
+ * @brief Close ports chosen from the console, so that they will be reconnected
+ * @param arg Number of the port in '.ports', or empty for all ports
+ */
+function reconnect(arg) {
+  let conns = Object.values(interface.connections);
+  if (arg) {
+    conns = [conns[Number(arg) - 1]];
+    if (conns[0] == undefined) {
+      util.showMsg("info", "No port number " + arg + ". See '.ports'.");
+      return;
+    }
+  }
+  for (const conn of conns)
+    conn.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}});
+  util.showMsg("info", "\n");
+}
+
+/**
+ * @brief Show the state of each open port, and the checksum errors
+ */
+function showPorts() {
+  let lines = [], now = Date.now(), ids, i = 0;
+  for (const conn of Object.values(interface.connections)) {
+    ids = Object.entries(interface.connectedAddresses).filter(([k, v]) => v.path == conn.path).map(([k, v]) => k);
+    lines.push("  " + (++i) + ": " + conn.path + "  " +
+      (conn.port.isOpen ? (conn.responded ? "connected" : "waiting for challenge response") : "closed") +
+      (interface.isServer ? ", heartbeat " + ((now - conn.hbTime)/1000).toFixed(0) + " s ago" : "") +
+      ", queue " + uart.queueSize(conn) + (conn.drops ? " (" + conn.drops + " dropped)" : "") +
+      (ids.length ? ", IDs " + ids.join(" ") : ""));
+  }
+  let errors = Object.entries(interface.checksumErrors).map(([id, n]) => id + ": " + n);
+  util.showMsg("info", (lines.length ? "Open ports:\n" + lines.join("\n") : "No open ports.") +
+    (errors.length ? "\nChecksum errors by ID: " + errors.join(", ") : ""));
+}
+
 function sendDebugMsgs(msg) {
   let buff;
   if (interface.isServer) {
@@ -124,9 +204,18 @@ function sendSensorData() {
  */
 function consoleHandler(line) {
   if (line[0] == '.') {
-    if (line == ".reconnect") {
-      interface.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}});
-      util.showMsg("info", "\n");
+    if (line == ".reconnect" || line.startsWith(".reconnect ")) {
+      reconnect(line.substring(11).trim());
+    } else if (line == ".ports") {
+      showPorts();
+    } else if (line == ".cal" || line.startsWith(".cal ")) {
+      calibration.command(line.substring(5));
+    } else if (line == ".sessions" || line.startsWith(".sessions ")) {
+      session.command(line.substring(10));
+    } else if (line == ".queue" || line.startsWith(".queue ")) {
+      outbox.command(line.substring(7));
+    } else if (line == ".sync" || line.startsWith(".sync ")) {
+      clock.command(line.substring(6));
     } else if (line == ".mute") {
       interface.muteConnectionError = true;
       util.showMsg("info", "Subscriber connection errors muted.\n");
@@ -170,12 +259,21 @@ function consoleHandler(line) {
           "\nAny message not starting with '.' will be sent to address 0xffff."
             + "\nAddress can be specified using XXXX# prefix.\n"
           :
-          "\nAny message not starting with '.' will be sent to the SensorTag.\n";
+          "\nAny message not starting with '.' will be sent to the SensorTag.\n"
+            + (interface.gateway ? "In gateway mode, the SensorTag can be chosen by its ID using XXXX# prefix.\n" : "");
       util.showMsg("info", "Supported commands:\n" +
-        "  .reconnect   Force port reconnect\n" +
+        "  .reconnect   Force port reconnect. '.reconnect N' reconnects only port N\n" +
+        "  .ports       Show the open ports and checksum errors\n" +
+        "  .cal         Show or set calibrations: '.cal <id> <field> offset|scale|unit <value>'\n" +
+        "  .sessions    List the sensor data sessions. '.sessions discard N' removes session N\n" +
+        "  .queue       Show the messages queued for the backend. '.queue clear' discards them\n" +
+        "  .sync        Show the SensorTag clocks. '.sync <id>' sends SYNC to a SensorTag now\n" +
         "  .mute        Mute the 'Broker unreachable' warning\n" +
         "  .unmute      Unmute the 'Broker unreachable' warning\n" + sendInstruction);
     } else util.showMsg("info", "Unknown command");
+  } else if (!interface.isServer && interface.gateway && /^[0-9a-f]{4}#.+/i.test(line)) { // send raw to the port of the SensorTag ID
+    let parts = line.split(/#(.+)/, 2);
+    uart.uartWrite({internal: true, id: parts[0], str: parts[1]});
   } else if (!interface.isServer) { // not server, so all input is sent raw (internal: true)
     uart.uartWrite({internal: true, str: line});
   } else if (/[0-9a-f]{4}#.+/i.test(line)) { // check if the sensortag address is given in the beginning as 6261#message for sending "message" to id:ab
@@ -186,24 +284,39 @@ function consoleHandler(line) {
   }
 }
 
+/**
+ * @brief Close all open ports when the program exits
+ */
+function closePorts() {
+  for (const conn of Object.values(interface.connections)) {
+    conn.exiting = true; // the sessions of the port are resumed after a restart
+    conn.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}});
+  }
+}
+
 // SIGINT handler
 process.once('SIGINT', function(code) {
-  util.showMsg("info", "Gateway encountered SIGINT. Exiting.").then(() => {interface.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}}); comm.end("SIGINT")}).catch((err) => comm.end("SIGINT"));
+  util.showMsg("info", "Gateway encountered SIGINT. Exiting.").then(() => {closePorts(); comm.end("SIGINT")}).catch((err) => comm.end("SIGINT"));
 });
 // SIGTERM handler
 process.once('SIGTERM', function(code) {
-  util.showMsg("info", "Gateway encountered SIGTERM. Exiting.").then(() => {interface.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}}); comm.end("SIGTERM")}).catch((err) => comm.end("SIGTERM"));
+  util.showMsg("info", "Gateway encountered SIGTERM. Exiting.").then(() => {closePorts(); comm.end("SIGTERM")}).catch((err) => comm.end("SIGTERM"));
 });
 
 let debug = {id: "0123"};
 
+if (interface.capture.record) capture.start(interface.capture.record);
 // Start communication to backend
-if (!interface.offline) comm.startComm();
+comm.startComm();
+// Send or resume the sessions saved before the last exit
+session.recover();
 // Start program
-if (!interface.debugMode) {
+if (!interface.debugMode || interface.ports.path) { // debug mode connects only to a given port
   process.stdout.write("\033[s"); // save cursor position
   portFinder.init(consoleHandler);
-  portFinder.findPorts().then(main);
+  clock.start();
+  if (interface.gateway && !interface.ports.path) portFinder.watchPorts(main);
+  else portFinder.findPorts().then(main);
 } else {
   //reader.unwrap(Buffer.from("adping,event:UP\x00\x00")).then(console.log).catch(console.error);
   util.rl.on("line", consoleHandler);
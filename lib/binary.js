@@ -0,0 +1,150 @@
+/**
+ * @file binary.js
+ * @brief Reading the compact binary messages from SensorTags
+ * @author Vili Pelttari
+ *
+ * A binary message begins with the marker byte 0x02 instead of text. In server use the marker
+ * comes after the two address bytes, and the sender ID is taken from the address like for text
+ * messages. The rest of the message is COBS encoded, so that it contains no zero bytes and works
+ * with the zero byte delimiter. Decoded, it is a sequence of fields
+ *    <binaryId> <value>
+ * where binaryId is the one byte field ID and the value is encoded as given by binaryType in the
+ * field schema (fields.json), little-endian. "string" values are a length byte followed by the
+ * characters, and "constant" fields like ping have no value bytes. See the README for an example.
+ *
+ * The fields are read into the same name-value pairs as text messages, so both are checked and
+ * handled the same way.
+ */
+const interface = require("../config");
+const fields = require("./fields");
+const errors = require("./errors");
+const codes = errors.codes;
+
+const MARKER = 0x02;
+
+module.exports = {
+  isBinary: isBinary,
+  decode: decode,
+  toText: toText
+};
+
+/**
+ * @brief Check if a received message is a binary message
+ * @param data Buffer received from UART, without escape encoding
+ * @return True if the message begins with the binary marker
+ */
+function isBinary(data) {
+  return data[interface.isServer ? 2 : 0] == MARKER;
+}
+
+/**
+ * @brief Read a binary message into name-value pairs
+ * @param data Buffer received from UART, without escape encoding
+ * @return Array of [name, value] pairs with the values as text, like reader.js splitTokens gives
+ * them. In server use the first pair is the id from the address. Throws an error from errors.make
+ * if the message can't be read
+ */
+function decode(data) {
+  let pairs = [], body, i = 0, dtype, value;
+  if (interface.isServer) pairs.push(["id", ("0000" + data.readUInt16LE().toString(16)).slice(-4)]);
+  body = cobsDecode(data.slice(interface.isServer ? 3 : 1));
+  while (i < body.length) {
+    dtype = interface.dataTypes.find(type => type.schema.binaryId == body[i]);
+    if (dtype == undefined) throw errors.make(codes.BINARY, "Error: Unknown binary field ID " + body[i] + " at byte " + (i+1) + " of the binary message.");
+    [value, i] = readValue(body, i + 1, dtype);
+    pairs.push([dtype.shortName, value]);
+  }
+  return pairs;
+}
+
+/**
+ * @brief Write name-value pairs as a text message, for showing a binary message in the console
+ * @param pairs Array of [name, value] pairs
+ * @return Text message like "id:0123,temp:27.82,ping"
+ */
+function toText(pairs) {
+  return pairs.map(([name, value]) => value === "" ? name : name + ":" + value).join(",");
+}
+
+/**
+ * @brief Read the value of a field from a decoded binary message
+ * @param body Buffer with the decoded fields
+ * @param i Index of the first value byte
+ * @param dtype The data type of the field
+ * @return Array of the value as text and the index after the value
+ */
+function readValue(body, i, dtype) {
+  let def = dtype.schema, values = [], n, len;
+  switch (def.type) {
+    case "constant":
+      return ["", i];
+    case "string":
+      len = body[i];
+      if (len == undefined || i + 1 + len > body.length) throw truncated(dtype, i);
+      return [body.toString("binary", i + 1, i + 1 + len), i + 1 + len];
+    case "list":
+      for (let k = 0; k < def.length; k++) {
+        [n, i] = readNumber(body, i, dtype);
+        values.push(n);
+      }
+      return [values.join(def.separator || ";"), i];
+    case "hex":
+      [n, i] = readNumber(body, i, dtype);
+      return [("0".repeat(def.maxLength || 0) + n.toString(16)).slice(-(def.maxLength || 8)), i];
+    case "enum":
+      [n, i] = readNumber(body, i, dtype);
+      if (n >= Object.keys(def.values).length)
+        throw errors.make(codes.BAD_VALUE, "Error: Binary " + dtype.shortName + " value " + n + " is not an index of " + Object.keys(def.values).join(", ") + ".", dtype.shortName, String(n));
+      return [Object.keys(def.values)[n], i];
+    default:
+      [n, i] = readNumber(body, i, dtype);
+      if (def.binaryType == "f32") n = Number(n.toPrecision(7)); // the precision of a float
+      return [String(n), i];
+  }
+}
+
+/**
+ * @brief Read a number encoded as the binaryType of a field
+ * @param body Buffer with the decoded fields
+ * @param i Index of the first byte of the number
+ * @param dtype The data type of the field
+ * @return Array of the number and the index after it
+ */
+function readNumber(body, i, dtype) {
+  let [size, read] = fields.binaryFormats[dtype.schema.binaryType];
+  if (i + size > body.length) throw truncated(dtype, i);
+  return [body[read](i), i + size];
+}
+
+/**
+ * @brief The error for a value that doesn't fit in the message
+ * @param dtype The data type of the field
+ * @param i Index of the first value byte
+ * @return The error
+ */
+function truncated(dtype, i) {
+  return errors.make(codes.BINARY, "Error: Binary message ends in the middle of the " + dtype.shortName + " value at byte " + (i+1) + ".", dtype.shortName);
+}
+
+/**
+ * @brief Decode Consistent Overhead Byte Stuffing
+ * @param b COBS encoded Buffer. It ends at the first zero byte, like the padding of the length parser
+ * @return Buffer of the decoded bytes. Throws an error from errors.make if b is not valid COBS
+ *
+ * Each block begins with a code byte n: n-1 data bytes follow, and then a zero byte, unless n is
+ * 0xFF or the block is the last one.
+ */
+function cobsDecode(b) {
+  let out = [], i = 0, code;
+  while (i < b.length && b[i] != 0) {
+    code = b[i];
+    if (i + code > b.length) throw errors.make(codes.BINARY, "Error: Binary message is not COBS encoded correctly: block at byte " + (i+1) + " is too long.");
+    for (let k = 1; k < code; k++) {
+      if (b[i + k] == 0) throw errors.make(codes.BINARY, "Error: Binary message is not COBS encoded correctly: zero byte at byte " + (i+k+1) + ".");
+      out.push(b[i + k]);
+    }
+    i += code;
+    if (code < 0xff && i < b.length && b[i] != 0) out.push(0);
+  }
+  return Buffer.from(out);
+}
@@ -0,0 +1,165 @@
+/**
+ * @file calibration.js
+ * @brief Calibration of the numeric fields of each SensorTag
+ * @author Vili Pelttari
+ *
+ * Each SensorTag ID can have a calibration for any numeric sensor field, like temp or ax. The
+ * sensor fields are the ones sent in sensordata, other than the time. The protocol fields, like ack,
+ * sync and time, are never calibrated, as that would break the sequence numbers and the clocks:
+ *    unit    Name of a conversion from units, applied first. See the units below
+ *    scale   Multiplier, applied after the unit conversion. Default 1
+ *    offset  Added last. Default 0
+ * so the stored value is unit(raw) * scale + offset. The calibrations are saved by ID and field
+ * shortName to interface.calibration.file as JSON, and read from it when the interface starts.
+ */
+const fs = require("fs");
+const interface = require("../config");
+const util = require("./util");
+
+// Unit conversions by name
+const units = {
+  "Pa-hPa": v => v / 100,
+  "hPa-Pa": v => v * 100,
+  "C-F": v => v * 9 / 5 + 32,
+  "F-C": v => (v - 32) * 5 / 9,
+  "K-C": v => v - 273.15,
+  "acc-2g": v => v / 16384, // MPU9250 accelerometer raw counts to g, in the ±2 g range
+  "acc-4g": v => v / 8192,
+  "acc-8g": v => v / 4096,
+  "acc-16g": v => v / 2048,
+  "gyro-250": v => v / 131, // MPU9250 gyroscope raw counts to °/s, in the ±250 °/s range
+  "gyro-500": v => v / 65.5,
+  "gyro-1000": v => v / 32.8,
+  "gyro-2000": v => v / 16.4,
+  "opt3001-lux": v => 0.01 * 2**((v >> 12) & 0xf) * (v & 0xfff) // OPT3001 result register to lux
+};
+
+let table = load(); // calibrations by SensorTag ID and field shortName
+
+module.exports = {
+  apply: apply,
+  command: command
+};
+
+/**
+ * @brief Read the calibrations from the file
+ * @return The calibration table. Empty if the file doesn't exist or can't be read
+ */
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(interface.calibration.file, "utf8"));
+  } catch(e) {
+    if (e.code != "ENOENT") util.showMsg("error", "Could not read the calibrations: " + e.message);
+    return {};
+  }
+}
+
+/**
+ * @brief Write the calibrations to the file. Synchronously, so that quick changes can't interleave
+ */
+function save() {
+  try {
+    fs.writeFileSync(interface.calibration.file, JSON.stringify(table, null, 2));
+  } catch(err) {
+    util.showMsg("error", "Could not save the calibrations: " + err.message);
+  }
+}
+
+/**
+ * @brief Calibrate the values of a received message
+ * @param addr SensorTag ID of the sender
+ * @param resultDicts The decoded data of the message by topic. The values are calibrated in place
+ */
+function apply(addr, resultDicts) {
+  let cal = table[util.normalizeId(addr)], dtype, value;
+  if (!cal) return;
+  for (const [field, c] of Object.entries(cal)) {
+    dtype = interface.dataTypes.find(type => type.shortName == field);
+    if (!calibratable(dtype)) continue; // like one added to the file by hand
+    for (const topic of dtype.topics) {
+      value = resultDicts[topic] && resultDicts[topic][dtype.nameInDB];
+      if (typeof value != "number") continue;
+      if (c.unit in units) value = units[c.unit](value);
+      value = value * (c.scale == undefined ? 1 : c.scale) + (c.offset || 0);
+      resultDicts[topic][dtype.nameInDB] = Number(value.toPrecision(12)); // no floating point noise
+    }
+  }
+}
+
+/**
+ * @brief Check if a field can be calibrated
+ * @param dtype The field from interface.dataTypes, or undefined
+ * @return True for a number field of sensordata, other than the time
+ */
+function calibratable(dtype) {
+  return dtype != undefined && dtype.schema.type == "number" && dtype.topics.includes("sensordata") && dtype.shortName != "time";
+}
+
+/**
+ * @brief Describe the calibrations of an ID
+ * @param id Normalized SensorTag ID
+ * @return One line for each calibrated field
+ */
+function describe(id) {
+  return Object.entries(table[id]).map(([field, c]) => "  " + id + " " + field + ": " +
+    [c.unit ? "unit " + c.unit : "", c.scale != undefined ? "scale " + c.scale : "", c.offset ? "offset " + c.offset : ""]
+      .filter(d => d).join(", ")).join("\n");
+}
+
+/**
+ * @brief Handle the '.cal' console command
+ * @param args The arguments of the command:
+ *          -'':                            show all calibrations
+ *          -'<id>':                        show the calibrations of a SensorTag
+ *          -'<id> <field> offset <number>' set the offset of a field
+ *          -'<id> <field> scale <number>'  set the scale of a field
+ *          -'<id> <field> unit <name>'     set the unit conversion of a field, 'none' removes it
+ *          -'<id> <field> clear'           remove the calibration of a field
+ *          -'<id> clear'                   remove the calibrations of a SensorTag
+ */
+function command(args) {
+  let [id, field, key, value] = args.split(/\s+/).filter(d => d), dtype, c;
+  if (!id) {
+    let ids = Object.keys(table);
+    util.showMsg("info", ids.length ? "Calibrations:\n" + ids.map(describe).join("\n") : "No calibrations.");
+    return;
+  }
+  if (!/^[0-9a-f]{1,4}$/i.test(id)) {
+    util.showMsg("info", "SensorTag ID has to be 1 to 4 hex digits: " + id);
+    return;
+  }
+  id = util.normalizeId(id);
+  if (!field || field == "clear") {
+    if (field == "clear") {
+      delete table[id];
+      save();
+    }
+    util.showMsg("info", table[id] ? "Calibrations:\n" + describe(id) : "No calibrations for " + id + ".");
+    return;
+  }
+  dtype = interface.dataTypes.find(type => type.shortName == field);
+  if (!calibratable(dtype)) {
+    util.showMsg("info", "Only the numeric sensor fields can be calibrated, like " +
+      interface.dataTypes.filter(calibratable).map(type => type.shortName).join(", ") + ": " + field);
+    return;
+  }
+  c = (table[id] || {})[field] || {};
+  if (key == "clear") {
+    c = {};
+  } else if ((key == "offset" || key == "scale") && value != undefined && Number.isFinite(Number(value))) {
+    c[key] = Number(value);
+  } else if (key == "unit" && (value in units || value == "none")) {
+    if (value == "none") delete c.unit;
+    else c.unit = value;
+  } else {
+    util.showMsg("info", "Usage: .cal <id> <field> offset <number> | scale <number> | unit <name> | clear\n" +
+      "Units: none, " + Object.keys(units).join(", "));
+    return;
+  }
+  if (!table[id]) table[id] = {};
+  if (Object.keys(c).length) table[id][field] = c;
+  else delete table[id][field];
+  if (!Object.keys(table[id]).length) delete table[id];
+  save();
+  util.showMsg("info", table[id] && table[id][field] ? "Calibration set:\n" + describe(id) : "Calibration of " + id + " " + field + " removed.");
+}
@@ -0,0 +1,91 @@
+/**
+ * @file capture.js
+ * @brief Recording UART traffic to a capture file, and replaying it
+ * @author Vili Pelttari
+ *
+ * A capture file has one JSON object per line. The first line describes the UART settings used
+ * while recording, and each following line is one frame:
+ *    {"time": "2021-10-05T12:00:00.000Z", "dir": "rx", "port": "/dev/ttyACM0", "data": "2301..."}
+ * 'dir' is "rx" for frames received from the port and "tx" for frames written to it, and 'data' is
+ * the frame in hex, as it was on the wire without the delimiter.
+ */
+const fs = require("fs");
+const interface = require("../config");
+const util = require("./util");
+
+let stream = null; // the capture file being recorded
+
+module.exports = {
+  start: start,
+  record: record,
+  loadReplay: loadReplay
+};
+
+/**
+ * @brief Start recording frames to a file. An existing file is overwritten
+ * @param file Path of the capture file
+ */
+function start(file) {
+  stream = fs.createWriteStream(file);
+  stream.on("error", err => {
+    util.showMsg("error", "Recording stopped: " + err.message);
+    stream = null;
+  });
+  stream.write(JSON.stringify({
+    time: new Date().toISOString(),
+    isServer: interface.isServer,
+    baudRate: interface.uart.baudRate,
+    pipe: interface.uart.pipe
+  }) + "\n");
+  util.showMsg("info", "Recording UART traffic to " + file + ".");
+}
+
+/**
+ * @brief Write a frame to the capture file, if recording
+ * @param dir "rx" for a received frame, "tx" for a transmitted frame
+ * @param conn The port connection of the frame
+ * @param data Buffer with the frame
+ */
+function record(dir, conn, data) {
+  if (!stream) return;
+  stream.write(JSON.stringify({
+    time: new Date().toISOString(),
+    dir: dir,
+    port: conn.path,
+    data: data.toString("hex")
+  }) + "\n");
+}
+
+/**
+ * @brief Read the received frames of a capture file into steps for a simulated tag
+ * @param file Path of the capture file
+ * @param speed How many times faster than recorded the frames are replayed. 0 doesn't wait at all
+ * @return Array of steps for simTag.create
+ *
+ * The challenge responses and heartbeats of the capture are left out, because the simulated tag
+ * answers the interface's own challenge and heartbeat messages.
+ */
+function loadReplay(file, speed) {
+  let steps = [], lines, header, frame, prev, time;
+  try {
+    lines = fs.readFileSync(file, "utf8").split(/\r?\n/).filter(line => line.trim() != "").map(line => JSON.parse(line));
+  } catch(e) {
+    util.showMsg("error", "Could not read capture file: " + e.message);
+    return steps;
+  }
+  header = lines.shift() || {};
+  if (header.isServer != interface.isServer || header.pipe != interface.uart.pipe) {
+    util.showMsg("error", "Warning: The capture was recorded with different UART settings (" +
+      (header.isServer ? "server mode" : "no server mode") + ", " + header.pipe + " parser).");
+  }
+  for (const line of lines) {
+    if (line.dir != "rx") continue;
+    frame = Buffer.from(line.data, "hex");
+    if (frame[0] == 0xfe && frame[1] == 0xfe && frame[2] == 1) continue; // internal messages
+    time = Date.parse(line.time);
+    steps.push({delay: (prev == undefined || speed == 0) ? 0 : (time - prev) / speed, frame: frame});
+    prev = time;
+  }
+  steps.push({delay: 0, note: "Replay finished: " + steps.length + " frames from " + file + "."});
+  return steps;
+}
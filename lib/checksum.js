@@ -0,0 +1,77 @@
+/**
+ * @file checksum.js
+ * @brief Checksums at the end of received text messages
+ * @author Vili Pelttari
+ *
+ * A text message can end in '*' and a checksum of the characters before the '*' as hex digits:
+ *    '*XX'    8-bit XOR of the characters, like in NMEA 0183
+ *    '*XXXX'  CRC-16/CCITT-FALSE of the characters (polynomial 0x1021, initial value 0xFFFF)
+ * In server use the address bytes are not included, only the text sent by the SensorTag.
+ *
+ * A checksum is always verified when the message ends in one, and removed when it matches. When
+ * interface.uart.requireChecksum is set, every message needs a matching checksum. Otherwise a
+ * message whose ending doesn't match is read as it is, because a value can end like a checksum,
+ * like 'MSG1:2*16', and the mismatch is only counted.
+ */
+const interface = require("../config");
+const errors = require("./errors");
+
+module.exports = {
+  strip: strip,
+  xor8: xor8,
+  crc16: crc16
+};
+
+/**
+ * @brief Verify and remove the checksum of a text message
+ * @param text The message as a String of bytes
+ * @param skip Number of characters at the beginning of text that are not covered by the checksum
+ * @param mismatch Function called when the message ends like a checksum that doesn't match, and
+ * checksums are not required
+ * @return The message without the checksum, or the message as it is if its ending isn't a matching
+ * checksum. Throws an error from errors.make if interface.uart.requireChecksum is set and the
+ * checksum is missing or doesn't match
+ */
+function strip(text, skip=0, mismatch=() => {}) {
+  let match = text.match(/\*([0-9a-f]{4}|[0-9a-f]{2})$/i), body, calc;
+  if (!match) {
+    if (interface.uart.requireChecksum) throw errors.make(errors.codes.CHECKSUM, "Checksum error: The message has no checksum, and checksums are required.");
+    return text;
+  }
+  body = text.slice(skip, match.index);
+  calc = match[1].length == 2 ? xor8(body) : crc16(body);
+  if (calc != Number.parseInt(match[1], 16)) {
+    if (!interface.uart.requireChecksum) {
+      mismatch();
+      return text;
+    }
+    throw errors.make(errors.codes.CHECKSUM, "Checksum error: The message ends in *" + match[1] + ", but the checksum of its contents is *" +
+      calc.toString(16).toUpperCase().padStart(match[1].length, "0") + ". The message was dropped.");
+  }
+  return text.slice(0, match.index);
+}
+
+/**
+ * @brief Calculate the 8-bit XOR checksum
+ * @param str String of bytes
+ * @return The checksum from 0 to 0xFF
+ */
+function xor8(str) {
+  let sum = 0;
+  for (let i = 0; i < str.length; i++) sum ^= str.charCodeAt(i) & 0xff;
+  return sum;
+}
+
+/**
+ * @brief Calculate the CRC-16/CCITT-FALSE checksum
+ * @param str String of bytes
+ * @return The checksum from 0 to 0xFFFF
+ */
+function crc16(str) {
+  let crc = 0xffff;
+  for (let i = 0; i < str.length; i++) {
+    crc ^= (str.charCodeAt(i) & 0xff) << 8;
+    for (let k = 0; k < 8; k++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+  }
+  return crc;
+}
@@ -0,0 +1,175 @@
+/**
+ * @file clock.js
+ * @brief Clock synchronisation between the interface and the SensorTags
+ * @author Vili Pelttari
+ *
+ * The interface sends 'SYNC:<epoch ms>' to a SensorTag when the tag sends 'sync' without a value,
+ * and to all SensorTags every interface.sync.interval ms. The tag replies 'sync:<ticks>' with its
+ * clock tick count at the moment it received the SYNC. The tag can also set its own clock from
+ * the epoch time in the SYNC.
+ *
+ * The tick count of a reply is paired with the middle of the time between sending the SYNC and
+ * receiving the reply, which cancels the UART and queueing delays that are the same both ways.
+ * A least-squares line through the last interface.sync.samples pairs gives the offset and drift
+ * of the tag clock, and device 'time' values are converted into UTC epoch ms with it. The times of
+ * sensor data rows are converted by their session instead, as a session keeps the time base it
+ * started with, see reader.js.
+ */
+const interface = require("../config");
+const util = require("./util");
+const uart = require("./uart");
+
+let tags = {}; // sync state by normalized SensorTag ID: {pending, samples, mx, my, rate}
+let timer;
+
+module.exports = {
+  start: start,
+  receive: receive,
+  convert: convert,
+  toUtc: toUtc,
+  isSynced: isSynced,
+  command: command
+};
+
+/**
+ * @brief Start sending SYNC to all SensorTags every interface.sync.interval ms, if it is set
+ */
+function start() {
+  if (!interface.sync.interval || timer) return;
+  timer = setInterval(() => {
+    for (const addr in interface.connectedAddresses) sendSync(addr);
+  }, interface.sync.interval);
+  timer.unref();
+}
+
+/**
+ * @brief Send the epoch time to a SensorTag, and remember when it was sent for pairing the reply
+ * @param addr SensorTag ID
+ * @param path Port to send to. Undefined to use the port the ID was last seen on
+ */
+function sendSync(addr, path) {
+  let now = Date.now();
+  tag(addr).pending = now;
+  uart.uartWrite({addr: addr, path: path, str: "SYNC:" + now, priority: "high"});
+}
+
+/**
+ * @brief Handle a received sync field
+ * @param addr SensorTag ID of the sender
+ * @param ticks The value of the field: null for a sync request, or the tick count of a reply
+ * @param conn The port connection the message was received from
+ */
+function receive(addr, ticks, conn) {
+  let t = tag(addr), now = Date.now();
+  if (ticks == null) {
+    sendSync(addr, conn ? conn.path : undefined);
+    return;
+  }
+  if (t.pending == undefined || now - t.pending > interface.sync.timeout) {
+    util.showMsg("info", "Sync reply from " + addr + " without a SYNC sent in the last " + interface.sync.timeout + " ms, ignored.");
+    return;
+  }
+  if (t.samples.length && ticks < t.samples[t.samples.length - 1][0]) {
+    util.showMsg("info", "The clock of " + addr + " went backwards, the SensorTag has likely restarted. Syncing again.");
+    t.samples = [];
+  }
+  t.samples.push([ticks, (t.pending + now) / 2]);
+  if (t.samples.length > interface.sync.samples) t.samples.shift();
+  delete t.pending;
+  fit(t);
+}
+
+/**
+ * @brief Convert the device time values of a received message into UTC epoch ms, except the ones
+ * of sensor data, see toUtc
+ * @param addr SensorTag ID of the sender
+ * @param resultDicts The decoded data of the message by topic. The values are converted in place
+ * if the SensorTag is synced
+ */
+function convert(addr, resultDicts) {
+  let dtype = interface.dataTypes.find(type => type.shortName == "time"), ticks;
+  if (!isSynced(addr) || dtype == undefined) return;
+  for (const topic of dtype.topics) {
+    ticks = resultDicts[topic] && resultDicts[topic][dtype.nameInDB];
+    if (topic == "sensordata" || typeof ticks != "number") continue;
+    resultDicts[topic][dtype.nameInDB] = toUtc(addr, ticks);
+  }
+}
+
+/**
+ * @brief Convert a device time into UTC epoch ms
+ * @param addr SensorTag ID
+ * @param ticks The clock tick count of the SensorTag
+ * @return UTC epoch ms, or undefined if the SensorTag is not synced
+ */
+function toUtc(addr, ticks) {
+  let t = tags[util.normalizeId(addr)];
+  if (!isSynced(addr)) return undefined;
+  return Math.round(t.my + (ticks * interface.sync.tickPeriod - t.mx) * t.rate);
+}
+
+/**
+ * @brief Check if the clock of a SensorTag is known
+ * @param addr SensorTag ID
+ * @return True if the SensorTag has replied to a SYNC
+ */
+function isSynced(addr) {
+  let t = tags[util.normalizeId(addr)];
+  return t != undefined && t.samples.length > 0;
+}
+
+/**
+ * @brief Get the sync state of a SensorTag, creating it if needed
+ * @param addr SensorTag ID
+ * @return The sync state
+ */
+function tag(addr) {
+  let id = util.normalizeId(addr);
+  if (!(id in tags)) tags[id] = {samples: []};
+  return tags[id];
+}
+
+/**
+ * @brief Fit a line through the samples of a SensorTag: utc = my + (ticks * tickPeriod - mx) * rate
+ * @param t The sync state of the SensorTag. mx, my and rate are set in it
+ *
+ * The times are centered on their means, so the epoch milliseconds don't lose precision. With a
+ * single sample the drift can't be known, and the rate is 1.
+ */
+function fit(t) {
+  let xs = t.samples.map(s => s[0] * interface.sync.tickPeriod), ys = t.samples.map(s => s[1]);
+  let sxx = 0, sxy = 0;
+  t.mx = xs.reduce((a, b) => a + b) / xs.length;
+  t.my = ys.reduce((a, b) => a + b) / ys.length;
+  for (let i = 0; i < xs.length; i++) {
+    sxx += (xs[i] - t.mx) ** 2;
+    sxy += (xs[i] - t.mx) * (ys[i] - t.my);
+  }
+  t.rate = sxx > 0 ? sxy / sxx : 1;
+}
+
+/**
+ * @brief Handle the '.sync' console command
+ * @param args The arguments of the command:
+ *          -'':      show the clock offset and drift of each synced SensorTag
+ *          -'<id>':  send SYNC to a SensorTag now
+ */
+function command(args) {
+  let id = args.trim(), lines;
+  if (id) {
+    if (!/^[0-9a-f]{1,4}$/i.test(id)) {
+      util.showMsg("info", "SensorTag ID has to be 1 to 4 hex digits: " + id);
+      return;
+    }
+    id = util.normalizeId(id);
+    sendSync(id);
+    util.showMsg("info", "SYNC sent to " + id + ".");
+    return;
+  }
+  lines = Object.keys(tags).filter(isSynced).map(addr => {
+    let t = tags[addr];
+    return "  " + addr + ": tick 0 at " + new Date(t.my - t.mx * t.rate).toISOString() + ", drift " +
+      ((t.rate - 1) * 1e6).toFixed(1) + " ppm, " + t.samples.length + " samples";
+  });
+  util.showMsg("info", lines.length ? "Synced SensorTags:\n" + lines.join("\n") : "No synced SensorTags.");
+}
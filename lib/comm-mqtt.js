@@ -0,0 +1,125 @@
+/**
+ * @file comm-mqtt.js
+ * @brief MQTT transport of the backend communication, see comm.js
+ * @author Vili Pelttari
+ *
+ * Each message is published as JSON text to interface.mqtt.publishTopic, where '{topic}' is
+ * replaced by the topic of the message, like "event" or "sensordata", and '{id}' by its
+ * sensortagID. The downlink events are read from the topics in interface.mqtt.subscribeTopics,
+ * which can have the MQTT wildcards '+' and '#'.
+ */
+const mqtt = require("mqtt");
+const interface = require("../config");
+const util = require("./util");
+
+let mqclient;
+let ttl = 0, stime = 0;
+let wasConnected = false; // for telling about a lost connection once, not after each failed reconnect
+
+module.exports = {
+  start: start,
+  publish: publish,
+  connected: connected,
+  end: end
+};
+
+/**
+ * @brief Connect to the broker at interface.mqtt.host. The connection is re-established
+ * automatically after a connection loss
+ * @param handlers {connect, downlink}, see comm.js
+ */
+function start(handlers) {
+  mqclient = mqtt.connect(interface.mqtt.host, interface.mqtt.options);
+
+  /* Connection event handler. Subscribes to the downlink topics */
+  mqclient.on("connect", () => {
+    util.showMsg("info", "Connected to MQTT Broker.");
+    ttl = stime = 0;
+    wasConnected = true;
+    mqclient.subscribe(Object.values(interface.mqtt.subscribeTopics));
+    handlers.connect();
+  });
+
+  mqclient.on("close", () => {
+    if (wasConnected) util.showMsg("error", "Disconnected from MQTT Broker!");
+    wasConnected = false;
+  });
+
+  /* Message event handler. The message of a downlink topic is given to comm.js as the event of
+   * that topic
+   */
+  mqclient.on("message", (topic, msg) => {
+    let event = Object.keys(interface.mqtt.subscribeTopics).find(name => topicMatches(interface.mqtt.subscribeTopics[name], topic)), rxDict;
+    if (event == undefined) return;
+    try {
+      rxDict = JSON.parse(msg.toString());
+    } catch(e) {
+      util.showMsg("error", "Bad input JSON string received via MQTT: " + msg.toString());
+      return;
+    }
+    handlers.downlink(event, rxDict);
+  });
+
+  /* Connection error handler. Triggered every time an error occurs. Automatic reconnection attempts
+   * also trigger it and the ttl--stime logic is to limit repeated error messages.
+   *
+   * This can be muted using '.mute' or the muteConnectionError constant in config.js.
+   */
+  mqclient.on("error", err => {
+    if (err.code == "ECONNREFUSED") {
+      if (ttl > 0) {ttl--; return;}
+      if (!interface.muteConnectionError)
+        util.showMsg("error", "Broker unreachable: " + err.message);
+      ttl = stime = (stime < 50 ? stime+2 : 50);
+    }
+    else util.showMsg("error", "MQTT error: " + err.message);
+  });
+}
+
+/**
+ * @brief Publish a message to the broker
+ * @param topic The topic of the message, put in place of '{topic}' in interface.mqtt.publishTopic
+ * @param msg Object representing the message to send
+ * @param done Function called when the broker has acknowledged the message, or with an Error. The
+ * QoS is at least 1, so that the broker acknowledges every message
+ */
+function publish(topic, msg, done=() => {}) {
+  let mqttTopic = interface.mqtt.publishTopic.replace(/\{topic\}/g, topic).replace(/\{id\}/g, msg.sensortagID || "");
+  mqclient.publish(mqttTopic, JSON.stringify(msg), {qos: Math.max(interface.mqtt.qos, 1)}, err => {
+    if (err) util.showMsg("error", "Could not publish message to MQTT broker: " + err.message);
+    done(err);
+  });
+}
+
+/**
+ * @brief Check if messages can be sent
+ * @return True if the client is connected to the broker
+ */
+function connected() {
+  return mqclient != undefined && mqclient.connected;
+}
+
+/**
+ * @brief Check if a topic matches a subscription topic filter
+ * @param filter The topic filter, which can have the wildcards '+' for one level and '#' for the rest
+ * @param topic The topic of a received message
+ * @return True if the topic matches
+ */
+function topicMatches(filter, topic) {
+  let f = filter.split("/"), t = topic.split("/");
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] == "#") return true;
+    if (i >= t.length || (f[i] != "+" && f[i] != t[i])) return false;
+  }
+  return f.length == t.length;
+}
+
+/**
+ * @brief End the MQTT connection
+ * @param reason Reason for ending
+ * @param done Function called when the connection is closed
+ */
+function end(reason, done) {
+  if (!mqclient) return done();
+  mqclient.end(true, {reasonCode: 1, properties: {reasonString: reason}}, done);
+}
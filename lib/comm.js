@@ -1,128 +1,153 @@
 /**
  * @file comm.js
- * @brief MQTT communication functions for the interface
+ * @brief Backend communication functions for interface.js, over socket.io, MQTT or none
  * @author Vili Pelttari
+ *
+ * The transport is chosen with interface.backend: "socket" (comm-socket.js), "mqtt" (comm-mqtt.js)
+ * or "none", which sends nothing. A transport is a module with the functions:
+ *    start(handlers)       Connect to the backend, and reconnect when the connection is lost. Call
+ *                          handlers.connect() on each connect, and handlers.downlink(event, data)
+ *                          for each message from the backend
+ *    publish(topic, msg, done)  Send a message object to a backend topic. done(err) is called
+ *                          when the backend has confirmed it, or with an Error if it was not
+ *    connected()           True if messages can be sent now
+ *    end(reason, done)     Close the connection, and call done
+ * Messages sent while the transport is not connected are queued in outbox.js, and sent in order
+ * when it connects.
+ *
+ * The messages from the backend are downlink events, handled with comm.on(event, listener):
+ *    "tamagotchiNotification"  {sensortagID, notifications}: BEEP the values that are low
+ *    "game"                    {sensortagID, wall, villain}: tell the SensorTag if it lost or won
  */
-const mqtt = require("mqtt");
+const EventEmitter = require("events");
+const moment = require("moment");
 const interface = require("../config");
-const uart = require("./uart");
 const util = require("./util");
-const moment = require("moment");
-const mqclient = mqtt.connect(interface.mqtt.host, interface.mqtt.options);
+const uart = require("./uart");
+const outbox = require("./outbox");
 
-let comm = {};
+const transports = {
+  socket: "./comm-socket",
+  mqtt: "./comm-mqtt"
+};
+const transport = interface.backend in transports ? require(transports[interface.backend]) : undefined;
+const downlink = new EventEmitter();
 
-let receiveCounter = 0;
+let comm = {};
 
 /**
- * @brief Publish an MQTTS packet to the broker specified in 'mqclient'
+ * @brief Send a message to the backend, or queue it if the backend is not connected
  * @param topic The topic where this message should be sent to
  * @param msg Object representing the message to send
- * @return General resolve promise for running code after the transaction
- *
- * All modification to messages and topics should be made in config.js.
+ * @return Promise resolved when the backend has confirmed the message, or when it has been queued.
+ * Rejected with an Error if the backend did not confirm it
  */
 send = comm.send = (topic, msg) => {
-  return new Promise(resolve => {
-    //console.log("Sending", JSON.stringify(msg), "on", topic);
-    let options = {};
-    mqclient.publish(topic, JSON.stringify(msg), options, err=>{
-      if (err)
-        console.error("Could not publish message to MQTT broker:", err.message);
-    });
-    resolve();
+  return new Promise((resolve, reject) => {
+    if (interface.debugMode) util.showMsg("debug", topic + " " + JSON.stringify(msg));
+    if (!transport) return resolve(); // nothing is sent without a backend
+    if (!transport.connected()) { // sent in order when the backend connects
+      outbox.add(topic, msg);
+      return resolve();
+    }
+    transport.publish(topic, msg, err => err ? reject(err) : resolve());
   });
 }
 
+/**
+ * @brief Check if messages can be sent
+ * @return True if the backend is connected
+ */
+connected = comm.connected = () => {
+  return transport != undefined && transport.connected();
+}
+
 /**
  * @brief Send messages to all topics in msg
  * @param msg A dictionary of topics, with dictionary values representing the message to be sent to
  * this topic
+ *
+ * The tamagotchi actions of an event are sent as an 'event' and a 'tamagotchiUpdate' message for
+ * each action.
  */
 sendMsgs = comm.sendMsgs = (msg) => {
+  if (!transport) return;
   for (const topic of interface.topics) {
-    if (msg[topic]) {
+    if (msg[topic] && topic == "event") {
+      let m = {}, labels = ["eat", "exercise", "pet"], n = {};
+      for (let k = 0; k < 3; k++) {
+        if (msg[topic].tamaActions[k] == 0)
+          continue;
+        m = {
+          "sensortagID": msg[topic].sensortagID,
+          //"timeStamp": moment().utc().toJSON(),
+          "event": labels[k],
+          "increasedBy": msg[topic].tamaActions[k]
+        };
+        n = {
+          "sensortagID": msg[topic].sensortagID,
+          "event": labels[k],
+          "timeStamp": moment().utc().toJSON()
+        };
+        send("event", n).catch(() => {});
+        send("tamagotchiUpdate", m).catch(() => {});
+      }
+
+    } else if (msg[topic]) {
       if (!msg[topic].timeStamp) msg[topic].timeStamp = moment().utc().toJSON();
-      send(topic, msg[topic]);
+      send(topic, msg[topic]).catch(() => {}); // only the sessions are sent again, see session.js
     }
   }
 }
 
-let ttl = 0, stime = 0;
-
 /**
- * @brief Start the MQTT
+ * @brief Connect to the backend. Does nothing without a backend
  */
 startComm = comm.startComm = () => {
-  /* Connection event handler. Subscribes to topics. Connection is automatically re-established after
-   * connection loss
-   */
-  mqclient.on("connect", () => {
-    console.log("Connected to MQTT Broker");
-    ttl = stime = 0;
-    mqclient.subscribe("game"); // subscribe to topic 'game'
-  });
-
-  /* Message event handler. Comprehends commands and other messages aimed at this interface.
-   *
-   * Currently used for sending messages from the broker to connected SensorTag. These messages are
-   * on topic 'game', and contain key-value pairs 'sensortagID': ID of SensorTag in question,
-   * 'wall': character hit the wall, 'villain': character hit the villain.
-   */
-  mqclient.on("message", (topic, msg) => {
-    try {
-      rxDict = JSON.parse(msg.toString());
-    } catch(e) {
-      util.showMsg("error", "Bad input JSON string received via MQTT: " + msg.toString());
-      return;
-    }
-    // Note the addresses attached to this interface, so the same message will not be sent to
-    // multiple interfaces:
-    if (topic == 'game' && rxDict.sensortagID) {
-      receiveCounter++;
-      if (Date.now() - interface.connectedAddresses[rxDict.sensortagID] >
-        interface.connectedAddressTimeout || !interface.connectedAddresses[rxDict.sensortagID]) return;
-      if (receiveCounter >= 20) { // remove old entries
-        let now = Date.now();
-        receiveCounter = 0;
-        interface.connectedAddresses = Object.assign({}, ...
-          Object.entries(interface.connectedAddresses).filter(([k, v]) => now - v >
-            interface.connectedAddressTimeout).map(([k, v]) => ({[k]: v}))
-        );
-      }
-    }
-    if (topic == "game") {
-      if ("sensortagID" in rxDict && rxDict.wall) {
-        uart.uartWrite({addr: "ffff", str: rxDict.sensortagID.replace(/^0+/, '') + ",LOST GAME"});
-      } else if ("sensortagID" in rxDict && rxDict.villain) {
-        uart.uartWrite({addr: "ffff", str: rxDict.sensortagID.replace(/^0+/, '') + ",WIN"});
-      }
-    }
+  if (!transport) return;
+  transport.start({
+    connect: () => outbox.replay(transport.publish),
+    downlink: (event, data) => downlink.emit(event, data)
   });
+}
 
-  /* Connection error handler. Triggered every time an error occurs. Automatic reconnection attempts
-   * also trigger it and the ttl--stime logic is to limit repeated error messages.
-   *
-   * This can be muted using '.mute' or the muteConnectionError constant in config.js.
-   */
-  mqclient.on("error", err => {
-    if (err.code == "ECONNREFUSED") {
-      if (ttl > 0) {ttl--; return;}
-      if (!interface.muteConnectionError)
-        console.log("Broker unreachable:", err.message);
-      ttl = stime = (stime < 50 ? stime+2 : 50);
-    }
-    else console.log(err);
-  });
+/**
+ * @brief Handle a downlink event from the backend
+ * @param event Name of the event
+ * @param listener Function called with the data of each event
+ */
+comm.on = (event, listener) => {
+  downlink.on(event, listener);
 }
 
 /**
- * @brief End the MQTT connection
+ * @brief End the backend connection, and exit
  * @param reason Reason for ending
  */
 end = comm.end = (reason) => {
-  mqclient.unsubscribe("commands");
-  mqclient.end(true, {reasonCode: 1, options: {reasonString: reason}}, process.exit);
+  if (!transport) process.exit();
+  transport.end(reason, () => process.exit());
 }
 
+/* A value of a tamagotchi is low. The SensorTag beeps for each value in 'notifications' */
+comm.on("tamagotchiNotification", event => {
+  if (!event || typeof event.sensortagID != "string" || !Array.isArray(event.notifications)) return;
+  uart.uartWrite({addr: "ffff", priority: "low", id: event.sensortagID, str: event.sensortagID.replace(/^0+/, '') + ",BEEP:" + event.notifications.join(";")});
+});
+
+/* The game of a SensorTag ended: 'wall' if the character hit the wall, 'villain' if it hit the
+ * villain. Only an interface that has heard the SensorTag lately tells it, so the same message is
+ * not sent from multiple interfaces
+ */
+comm.on("game", event => {
+  if (!event || typeof event.sensortagID != "string") return;
+  let seen = interface.connectedAddresses[util.normalizeId(event.sensortagID)];
+  if (!seen || Date.now() - seen.time > interface.connectedAddressTimeout) return;
+  if (event.wall) {
+    uart.uartWrite({addr: "ffff", priority: "low", id: event.sensortagID, str: event.sensortagID.replace(/^0+/, '') + ",LOST GAME"});
+  } else if (event.villain) {
+    uart.uartWrite({addr: "ffff", priority: "low", id: event.sensortagID, str: event.sensortagID.replace(/^0+/, '') + ",WIN"});
+  }
+});
+
 module.exports = comm;
@@ -0,0 +1,85 @@
+/**
+ * @file deviceTracker.js
+ * @brief Keeps track of the connected serial devices
+ * @author Vili Pelttari
+ *
+ * The serialport library doesn't tell when a device is plugged in or out, so the tracker polls
+ * SerialPort.list() and compares it to the previous list. For each difference it emits
+ *    'add'    with the device info from SerialPort.list() when a device appeared
+ *    'remove' with the last device info when a device disappeared.
+ * The list is read every interface.ports.pollInterval milliseconds while a device is waited for,
+ * and every interface.ports.idlePollInterval milliseconds otherwise, so a change can be noticed
+ * that much later. The devices are kept by path, so there is no limit on how many can be tracked.
+ * A device that is unplugged and plugged back in between two polls is not noticed.
+ */
+const EventEmitter = require("events");
+const SerialPort = require("serialport");
+const interface = require("../config");
+
+let tracker = new EventEmitter();
+let started = false, timer = null, polling = false, idle = () => false;
+
+tracker.devices = new Map(); // device info by path, in the order the devices were found
+
+/**
+ * @brief Start polling the device list, or poll right away if already started
+ * @param eidle Function that returns true when no device is waited for, so that the list can be
+ * read less often. Keeps the previous one if not given
+ */
+tracker.start = function(eidle) {
+  if (eidle) idle = eidle;
+  started = true;
+  tracker.wake();
+};
+
+/**
+ * @brief Read the device list right away, for example after a port closed. Does nothing if not
+ * started
+ */
+tracker.wake = function() {
+  if (!started) return;
+  clearTimeout(timer);
+  poll();
+};
+
+/**
+ * @brief Stop polling the device list
+ */
+tracker.stop = function() {
+  started = false;
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = tracker;
+
+/**
+ * @brief List the serial devices, emit events for the changes since the previous poll and
+ * schedule the next poll
+ */
+async function poll() {
+  timer = null;
+  if (polling) return; // the poll in progress schedules the next one
+  polling = true;
+  let ports = null, present = new Set();
+  try {
+    ports = await SerialPort.list();
+  } catch(e) {
+    // try again on the next poll
+  }
+  for (const port of ports || []) {
+    present.add(port.path);
+    if (!tracker.devices.has(port.path)) {
+      tracker.devices.set(port.path, port);
+      tracker.emit("add", port);
+    }
+  }
+  for (const [path, port] of tracker.devices) {
+    if (!ports || present.has(path)) continue;
+    tracker.devices.delete(path);
+    tracker.emit("remove", port);
+  }
+  polling = false;
+  if (started)
+    timer = setTimeout(poll, idle() ? interface.ports.idlePollInterval : interface.ports.pollInterval);
+}
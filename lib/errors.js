@@ -0,0 +1,57 @@
+/**
+ * @file errors.js
+ * @brief Errors found in received messages, with stable error codes
+ * @author Vili Pelttari
+ *
+ * The codes are replied to SensorTags in 'ERR:' messages, so a code must never change its meaning.
+ * New codes are added to the end of their group. The codes are documented in the README.
+ */
+
+const codes = {
+  // The message as a whole
+  QUOTING: 1,         // malformed quotes in a text message
+  BINARY: 2,          // a binary message that can't be decoded
+  CHECKSUM: 3,        // a wrong or missing checksum when checksums are required
+  NO_ID: 4,           // no SensorTag ID given
+  // A field of the message
+  UNKNOWN_FIELD: 10,  // the field label is not in fields.json
+  NOT_NUMBER: 11,     // a non-numeric value in a number field
+  NOT_INTEGER: 12,    // a decimal number in an integer field
+  OUT_OF_RANGE: 13,   // a number outside the allowed range
+  BAD_HEX: 14,        // an ID that is not 1 to 4 hex digits
+  BAD_VALUE: 15,      // not one of the allowed values, like session:pause
+  LIST_LENGTH: 16,    // a wrong number of values in a list, like ACTIVATE:1;2
+  TOO_LONG: 17,       // a text value longer than allowed
+  // Sensor data sessions
+  NO_SESSION: 20,     // sensor data received while no session has been started
+  SESSION_FULL: 21,   // the sessions use all of interface.sessions.memoryBudget
+  EMPTY_SESSION: 22,  // the ended session had no rows, and it was not sent
+  SESSION_NOT_STARTED: 23 // session:end without a session
+};
+
+module.exports = {
+  codes: codes,
+  make: make,
+  format: format
+};
+
+/**
+ * @brief Create an error of a received message
+ * @param code One of the codes
+ * @param message Description of the error for the console
+ * @param field Label of the field with the error. Undefined for errors of the whole message
+ * @param value The value of the field
+ * @return Error dictionary {code, message, field, value}
+ */
+function make(code, message, field, value) {
+  return {code: code, message: message, field: field, value: value};
+}
+
+/**
+ * @brief Describe the errors of a message for the console
+ * @param errs Array of errors
+ * @return One line for each error, with its code
+ */
+function format(errs) {
+  return errs.map(e => e.message + " (ERR:" + e.code + ")").join("\n");
+}
@@ -0,0 +1,93 @@
+/**
+ * @file exporter.js
+ * @brief Export of the ended sensor data sessions to local files
+ * @author Vili Pelttari
+ *
+ * Each session is written to interface.export.dir in each of interface.export.formats, to a file
+ * named by the SensorTag ID, the session name if it has one, and the start time of the session with
+ * milliseconds, like '0123_2026-10-18_16-08-31-254.csv' or '0123_calib_2026-10-18_16-08-31-254.csv'.
+ * An existing file is never overwritten:
+ *    "csv"   A header line with the column names, and a line for each row. Missing values are empty
+ *    "json"  JSON Lines, in a '.jsonl' file: a line {sensortagID, sessionName, sessionTimeStamp,
+ *            <column>: [values]} like the sensordata messages, for the session or for each of its
+ *            chunks. sessionName is only in named sessions
+ * The chunks of a session sent in chunks are appended to the same files, so exporting a chunk takes
+ * only the memory of that chunk.
+ */
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment");
+const interface = require("../config");
+const util = require("./util");
+
+module.exports = {
+  write: write
+};
+
+/**
+ * @brief Write a session to the export files
+ * @param id SensorTag ID
+ * @param name Name of the session, "" for the default session
+ * @param started Start time of the session as epoch ms
+ * @param data The columns of the session by name: {<column>: [values]}. Other keys are not written
+ * @param first False for the later chunks of a session, which are added to the files
+ * @return True if the session was written in all the formats. False if a write failed, or if
+ * there are no formats set
+ */
+function write(id, name, started, data, first=true) {
+  let file = path.join(interface.export.dir, id + "_" + (name ? name + "_" : "") + moment(started).format("YYYY-MM-DD_HH-mm-ss-SSS")), ok = true;
+  let columns = Object.keys(data).filter(label => Array.isArray(data[label]));
+  if (!interface.export.formats.length) return false;
+  try {
+    fs.mkdirSync(interface.export.dir, {recursive: true});
+    if (interface.export.formats.includes("csv")) writeCsv(file + ".csv", columns, data, first);
+    if (interface.export.formats.includes("json")) writeJson(file + ".jsonl", id, name, started, columns, data, first);
+  } catch(err) {
+    util.showMsg("error", "Could not export the session " + (name ? "'" + name + "' " : "") + "of " + id + ": " + err.message);
+    ok = false;
+  }
+  return ok;
+}
+
+/**
+ * @brief Write the rows of a session as CSV
+ * @param file Path of the file
+ * @param columns Names of the columns
+ * @param data The columns by name
+ * @param first True to write a new file with a header line, false to add the rows to the file
+ */
+function writeCsv(file, columns, data, first) {
+  let lines = first ? [columns.map(csvValue).join(",")] : [];
+  for (let i = 0; i < data[columns[0]].length; i++) lines.push(columns.map(label => csvValue(data[label][i])).join(","));
+  if (lines.length == 0) return;
+  if (first) fs.writeFileSync(file, lines.join("\n") + "\n", {flag: "wx"}); // fails if the file exists
+  else fs.appendFileSync(file, lines.join("\n") + "\n");
+}
+
+/**
+ * @brief Format a value for CSV. Text with commas, quotes or line breaks is quoted
+ * @param value The value
+ * @return The value as CSV
+ */
+function csvValue(value) {
+  if (value == null) return "";
+  value = String(value);
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+/**
+ * @brief Write a session, or a chunk of it, as a line of JSON
+ * @param file Path of the file
+ * @param id SensorTag ID
+ * @param name Name of the session, "" for the default session
+ * @param started Start time of the session as epoch ms
+ * @param columns Names of the columns
+ * @param data The columns by name
+ * @param first True to write a new file, false to add the line to the file
+ */
+function writeJson(file, id, name, started, columns, data, first) {
+  let entry = Object.assign({sensortagID: id}, name ? {sessionName: name} : {}, {sessionTimeStamp: moment.utc(started).toJSON()});
+  for (const label of columns) entry[label] = data[label];
+  if (first) fs.writeFileSync(file, JSON.stringify(entry) + "\n", {flag: "wx"}); // fails if the file exists
+  else fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+}
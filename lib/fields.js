@@ -0,0 +1,199 @@
+/**
+ * @file fields.js
+ * @brief Building the data field parsers of interface.dataTypes from the field schema file
+ * @author Vili Pelttari
+ *
+ * The schema file is a JSON array with one object per field. The values of an object are
+ *    shortName   Name in the received UART message
+ *    nameInDB    Name used when sending the value via the backend connection
+ *    topics      Backend topics the value is sent to, from interface.topics
+ *    forceSend   false if receiving the field alone doesn't cause a send on its topics. Optional
+ *    description Name of the field in error messages. Optional, defaults to shortName
+ *    type        How the value is parsed:
+ *      "number"    A number. Options: 'integer' (true allows only integers), 'min', 'max' and
+ *                  'optional' (true allows no value, which is parsed as null)
+ *      "hex"       Hexadecimal digits, kept as text. Option: 'maxLength'
+ *      "string"    Text as it is. Option: 'maxLength'
+ *      "enum"      One of the keys of 'values'. The value of the key is the parsed value. Options:
+ *                  'qualifier', a nameInDB for the text after a ':' in the value, like the name in
+ *                  'session:start:calib', and 'arguments', a nameInDB for the text after the first
+ *                  ';', like the options in 'session:start;every=4'. The texts are stored with
+ *                  those names
+ *      "constant"  Any value or none, parsed as 'value'
+ *      "list"      Values separated by 'separator' (default ';'), each one parsed as described by
+ *                  the object 'items'. Option: 'length', the required number of values
+ *    vector      Optional {length, index}. The parsed value is put at index of an array of zeros,
+ *                like the EAT, EXERCISE and PET increments are combined into tamaActions
+ *    binaryId    Optional field ID from 1 to 255 in binary messages, see lib/binary.js
+ *    binaryType  Encoding of the value in binary messages: one of binaryFormats. Needed with
+ *                binaryId, except for "string" and "constant" fields. A "list" has 'length' values
+ *                of this type, an "enum" the index of the key in 'values'
+ */
+const fs = require("fs");
+const errors = require("./errors");
+const codes = errors.codes;
+
+const types = ["number", "hex", "string", "enum", "constant", "list"];
+
+// Little-endian value encodings of binary messages: [size in bytes, Buffer read function]
+const binaryFormats = {
+  u8: [1, "readUInt8"],
+  i8: [1, "readInt8"],
+  u16: [2, "readUInt16LE"],
+  i16: [2, "readInt16LE"],
+  u32: [4, "readUInt32LE"],
+  i32: [4, "readInt32LE"],
+  f32: [4, "readFloatLE"]
+};
+
+module.exports = {
+  splitValue: splitValue,
+  loadFields: loadFields,
+  binaryFormats: binaryFormats
+};
+
+/**
+ * @brief Read the field schema file into data types. Print the error and exit if the file is invalid
+ * @param file Path of the schema file
+ * @param topics The allowed backend topics
+ * @return Array of data types for interface.dataTypes
+ */
+function loadFields(file, topics) {
+  let defs;
+  try {
+    defs = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(defs)) throw new Error("The schema has to be an array of fields");
+    let dataTypes = defs.map((def, i) => makeDataType(def, topics, "field " + (i+1)));
+    let ids = defs.map(def => def.binaryId).filter(id => id != undefined);
+    let duplicate = ids.find((id, i) => ids.indexOf(id) != i);
+    if (duplicate != undefined) throw new Error("binaryId " + duplicate + " is used by more than one field");
+    return dataTypes;
+  } catch(e) {
+    console.error("Invalid field schema " + file + ": " + e.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * @brief Create a data type from its field description
+ * @param def Field description from the schema file
+ * @param topics The allowed backend topics
+ * @param where Position of the field in the schema, for error messages
+ * @return Data type dictionary, see interface.dataTypes in config.js
+ */
+function makeDataType(def, topics, where) {
+  if (typeof def.shortName != "string" || def.shortName == "") throw new Error(where + ": 'shortName' is missing");
+  where += " (" + def.shortName + ")";
+  if (typeof def.nameInDB != "string" || def.nameInDB == "") throw new Error(where + ": 'nameInDB' is missing");
+  if (!Array.isArray(def.topics) || def.topics.some(t => !topics.includes(t)))
+    throw new Error(where + ": 'topics' has to be an array of " + topics.join(", "));
+  if (def.vector && !(def.vector.index >= 0 && def.vector.index < def.vector.length))
+    throw new Error(where + ": 'vector' needs a length and an index below it");
+  if (def.binaryId != undefined) {
+    if (!Number.isInteger(def.binaryId) || def.binaryId < 1 || def.binaryId > 255)
+      throw new Error(where + ": 'binaryId' has to be an integer from 1 to 255");
+    if (!["string", "constant"].includes(def.type) && !(def.binaryType in binaryFormats))
+      throw new Error(where + ": 'binaryType' has to be one of " + Object.keys(binaryFormats).join(", "));
+    if (def.type == "list" && !Number.isInteger(def.length))
+      throw new Error(where + ": a list needs 'length' to be sent in binary messages");
+  }
+
+  let parse = makeParser(def, def.description || def.shortName, where);
+  if (def.vector) {
+    let parseValue = parse;
+    parse = d => {
+      let v = new Array(def.vector.length).fill(0);
+      v[def.vector.index] = parseValue(d);
+      return v;
+    };
+  }
+  return {
+    shortName: def.shortName,
+    nameInDB: def.nameInDB,
+    topics: def.topics,
+    forceSend: def.forceSend == false ? false : undefined,
+    fun: d => new Promise(resolve => resolve(parse(d))), // a thrown error rejects
+    schema: def
+  };
+}
+
+/**
+ * @brief Create the parsing function for a field or a list item
+ * @param def Field description with the type and its options
+ * @param label Name of the field in error messages
+ * @param where Position of the field in the schema, for error messages
+ * @return Function that takes the value text and returns the parsed value. It throws an error
+ * from errors.make if the value is not valid
+ */
+function makeParser(def, label, where) {
+  if (!types.includes(def.type)) throw new Error(where + ": 'type' has to be one of " + types.join(", "));
+  switch (def.type) {
+    case "number":
+      return d => {
+        if (def.optional && (d == undefined || d.trim() == '')) return null;
+        let a = Number(d); // Usage of Number is important: It makes sure the whole string is numeric!
+        if (d == undefined || d.trim() == '' || !Number.isFinite(a)) throw errors.make(codes.NOT_NUMBER, "Error: Non-numeric " + label + ": " + d);
+        if (def.integer && !Number.isInteger(a)) throw errors.make(codes.NOT_INTEGER, "Error: " + label + " has to be an integer: " + d);
+        if (a < def.min || a > def.max) throw errors.make(codes.OUT_OF_RANGE, "Error: " + label + " has to be " + rangeText(def) + ": " + d);
+        return a;
+      };
+    case "hex":
+      return d => {
+        if (!/^[0-9a-f]+$/i.test(d || '') || d.length > def.maxLength)
+          throw errors.make(codes.BAD_HEX, "Error: " + label + " has to be " + (def.maxLength ? "1 to " + def.maxLength + " " : "") + "hex digits: " + d);
+        return d;
+      };
+    case "string":
+      return d => {
+        d = d || '';
+        if (d.length > def.maxLength) throw errors.make(codes.TOO_LONG, "Error: " + label + " can be at most " + def.maxLength + " characters: " + d);
+        return d;
+      };
+    case "enum":
+      if (typeof def.values != "object" || def.values == null) throw new Error(where + ": 'values' is missing");
+      if (def.arguments != undefined && typeof def.arguments != "string") throw new Error(where + ": 'arguments' has to be a nameInDB");
+      if (def.qualifier != undefined && typeof def.qualifier != "string") throw new Error(where + ": 'qualifier' has to be a nameInDB");
+      return d => {
+        d = splitValue(d, def)[0];
+        if (!Object.prototype.hasOwnProperty.call(def.values, d)) throw errors.make(codes.BAD_VALUE, "Error: " + label + " has to be one of " + Object.keys(def.values).join(", ") + ": " + d);
+        return def.values[d];
+      };
+    case "constant":
+      return d => def.value;
+    case "list":
+      if (typeof def.items != "object" || def.items == null) throw new Error(where + ": 'items' is missing");
+      let parseItem = makeParser(def.items, label, where + " items");
+      return d => {
+        let items = (d || '').split(def.separator || ";");
+        if (def.length != undefined && items.length != def.length)
+          throw errors.make(codes.LIST_LENGTH, "Error: " + label + " needs " + def.length + " values separated by '" + (def.separator || ";") + "': " + d);
+        return items.map(parseItem);
+      };
+  }
+}
+
+/**
+ * @brief Split the qualifier and the arguments from an enum value, if its field has them
+ * @param d The value text, like 'start:calib;every=4'
+ * @param def Field description with the 'qualifier' and 'arguments' options
+ * @return Array of the value, the qualifier after ':' and the arguments after the first ';'. The
+ * qualifier and the arguments are undefined if they are not given or not used by the field
+ */
+function splitValue(d, def) {
+  let value = d || '', qualifier, args, i = value.indexOf(";");
+  if (def.arguments && i >= 0) [value, args] = [value.substring(0, i), value.substring(i + 1)];
+  i = value.indexOf(":");
+  if (def.qualifier && i >= 0) [value, qualifier] = [value.substring(0, i), value.substring(i + 1)];
+  return [d == undefined ? d : value, qualifier, args];
+}
+
+/**
+ * @brief Describe the allowed range of a number field
+ * @param def Field description with 'min' and/or 'max'
+ * @return Text like "from 0 to 10", "at least 0" or "at most 10"
+ */
+function rangeText(def) {
+  if (def.min != undefined && def.max != undefined) return "from " + def.min + " to " + def.max;
+  if (def.min != undefined) return "at least " + def.min;
+  return "at most " + def.max;
+}
@@ -0,0 +1,118 @@
+/**
+ * @file outbox.js
+ * @brief Store-and-forward queue of the messages to the backend
+ * @author Vili Pelttari
+ *
+ * Messages sent while the backend is not connected are queued in order, and each one is appended
+ * to interface.outbox.file as a line of JSON {topic, msg, time}, so that the queue survives a
+ * restart. When the backend connects, the queue is sent in order and the file emptied. The
+ * messages are stored as they were sent, so the timeStamps they got when they arrived from the
+ * SensorTag are kept, and 'time' is when they were queued.
+ *
+ * The queue holds at most interface.outbox.maxMessages messages. When it is full, the oldest
+ * message is dropped to make room, and the dropped messages are counted. Sensor data sessions are
+ * not queued here: they wait in interface.sessions.dir, see session.js.
+ */
+const fs = require("fs");
+const interface = require("../config");
+const util = require("./util");
+
+let queue = load(); // queued messages in order: {topic, msg, time}
+let lines = queue.length; // lines in the file, which has the dropped messages too until it is rewritten
+let dropped = 0; // messages dropped since the interface started
+
+module.exports = {
+  add: add,
+  replay: replay,
+  command: command
+};
+
+/**
+ * @brief Read the queue from the file
+ * @return The queued messages, at most the newest interface.outbox.maxMessages. Lines that can't
+ * be read, like one cut short by a crash, are skipped
+ */
+function load() {
+  let entries = [], text;
+  try {
+    text = fs.readFileSync(interface.outbox.file, "utf8");
+  } catch(err) {
+    if (err.code != "ENOENT") util.showMsg("error", "Could not read the queued backend messages: " + err.message);
+    return [];
+  }
+  for (const line of text.split("\n")) {
+    try {
+      if (line.trim()) entries.push(JSON.parse(line));
+    } catch(e) {} // a partly written line
+  }
+  return entries.slice(-interface.outbox.maxMessages);
+}
+
+/**
+ * @brief Write the queue over the file, or remove the file if the queue is empty
+ */
+function save() {
+  try {
+    if (queue.length) fs.writeFileSync(interface.outbox.file, queue.map(entry => JSON.stringify(entry) + "\n").join(""));
+    else if (fs.existsSync(interface.outbox.file)) fs.unlinkSync(interface.outbox.file);
+    lines = queue.length;
+  } catch(err) {
+    util.showMsg("error", "Could not save the queued backend messages: " + err.message);
+  }
+}
+
+/**
+ * @brief Queue a message until the backend connects
+ * @param topic Backend topic of the message
+ * @param msg The message
+ */
+function add(topic, msg) {
+  let entry = {topic: topic, msg: msg, time: Date.now()};
+  if (queue.length == 0) util.showMsg("info", "Backend is not connected. Messages are queued until it is.");
+  queue.push(entry);
+  if (queue.length > interface.outbox.maxMessages) {
+    queue.shift();
+    if (dropped++ == 0 || dropped % 1000 == 0)
+      util.showMsg("error", "The queue of backend messages is full (" + interface.outbox.maxMessages + "). " + dropped + " of the oldest messages have been dropped.");
+  }
+  try {
+    fs.appendFileSync(interface.outbox.file, JSON.stringify(entry) + "\n");
+    lines++;
+  } catch(err) {
+    util.showMsg("error", "Could not save a queued backend message: " + err.message);
+  }
+  if (lines > 2 * interface.outbox.maxMessages) save(); // leave out the dropped messages
+}
+
+/**
+ * @brief Send the queued messages in order, and empty the queue
+ * @param emit Function (topic, msg) that sends a message to the connected backend
+ */
+function replay(emit) {
+  let entries = queue;
+  if (entries.length == 0) return;
+  util.showMsg("info", "Sending " + entries.length + " queued messages to the backend" +
+    (dropped ? ". " + dropped + " messages were dropped while the queue was full." : "."));
+  queue = [];
+  for (const entry of entries) emit(entry.topic, entry.msg);
+  save();
+}
+
+/**
+ * @brief Handle the '.queue' console command
+ * @param args The arguments of the command:
+ *          -'':       show the number of queued and dropped messages
+ *          -'clear':  discard the queued messages
+ */
+function command(args) {
+  let arg = args.trim();
+  if (arg == "clear") {
+    util.showMsg("info", "Discarded " + queue.length + " queued backend messages.");
+    queue = [];
+    save();
+  } else if (arg == "") {
+    util.showMsg("info", queue.length + " messages queued for the backend" +
+      (queue.length ? ", the oldest from " + new Date(queue[0].time).toLocaleString() : "") + ". " +
+      dropped + " messages dropped while the queue was full.");
+  } else util.showMsg("info", "Unknown argument '" + arg + "'. Use '.queue' or '.queue clear'.");
+}
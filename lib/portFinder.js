@@ -6,6 +6,9 @@
 
 const interface = require("../config");
 const util = require("./util");
+const transport = require("./transport");
+const tracker = require("./deviceTracker");
+const fs = require("fs");
 
 module.exports = {
   /**
@@ -23,117 +26,210 @@ module.exports = {
   */
   findPorts: findPorts,
 
+  /**
+  * @brief Gateway mode: connect to every automatically accepted device
+  * @param cb Function that will be called with the path of each port to connect to
+  */
+  watchPorts: watchPorts,
+
+  /**
+  * @brief Gateway mode: connect to the accepted devices that aren't connected, for example after a
+  * port closed. The device list is read again right away, as the device may have been unplugged
+  */
+  connectAll: function() {
+    tracker.wake();
+    connectAll();
+  },
+
   /**
   * @brief Clear the device blacklist to allow blacklisted devices to be discovered
+  * @param path In gateway mode, clear only the device at this path
   */
-  clearBlacklist: function() {
-    blacklist = {};
+  clearBlacklist: function(path) {
+    let port = tracker.devices.get(path);
+    if (interface.gateway && port) delete blacklist[port.pnpId];
+    else if (!interface.gateway) blacklist = {};
   },
 
   /**
-  * @brief Increment the port when there are multiple automatically accepted devices
+  * @brief Count a failed try for the device at path, so that the other automatically accepted
+  * devices are tried next
+  * @param path Path of the device that didn't work
   */
-  nextPort: function() {
-    let m = n - 1;
-    if (m < 0)
-      m += ok.length;
-    if (ok.length)
-      blacklist[ok[m][1]] += 1;
+  nextPort: function(path) {
+    let port = tracker.devices.get(path);
+    if (port) blacklist[port.pnpId] = (blacklist[port.pnpId] || 0) + 1;
   },
+
+  /**
+  * @brief Remember the device at path as the one to try first the next time
+  * @param path Path of the port that passed the challenge
+  */
+  remember: remember,
 };
 
 let
   consoleHandler = null;
-  count = 0;
   n = 0;
-  ok = [];
-  all = {};
-  blacklist = {};
-
-/**
- * @brief Find new serial devices and connect to them automatically if they are SensorTags
- * @return Promise resolve when a suitable SensorTag has been found, with the port path
- */
-function listPorts() {
-  process.stdout.write("\033[u\033[0J");
-  let update = false;
-  let finds = 0, oldfinds = 0; // XXX good up to 53 devices
-  return new Promise(resolve =>{
-    let portlister = setInterval(async () => {
-      if (count == -1) { clearInterval(portlister); return; }
-      // list ports
-      await SerialPort.list().then(ports => {
-        ports.forEach(port => {
-          if (!(port.path in all)) {
-            update = true;
-            all[port.path] = port.pnpId;
-            count++;
-          }
-          finds |= 1<<(Object.keys(all).indexOf(port.path));
-        });
-      });
-      // remove disconnected ports
-      update |= removeOld((finds^oldfinds)&oldfinds); // bit operation for finding bits that are only 'on' in oldfinds
-      if (update) dispPorts();
-      update = false;
-      oldfinds = finds;
-      finds = 0;
-      // automatically find ok ports
-      for (const port of Object.entries(all)) {
-        // XXX modify this regex if autodetect doesn't work (should work on Windows and Linux)
-        if (/Texas.*if00$|USB\\VID_0451.*0000$/i.test(port[1]) && ok.findIndex(p => p[1]==port[1]) == -1) {
-          ok.push([port[0], port[1]]);
-          if (!(port[1] in blacklist)) blacklist[port[1]] = 0; // add to blacklist with 0
-        }
-      }
-      // try a different port if the other one didn't respond correctly before
-      if (interface.ports.autofind && ok.length) {
-        ok.sort();
-        n %= ok.length;
-        if (blacklist[ok[n][1]] > interface.ports.maxTries) { // stop spamming a port after maxTries tries
-          n++;
-          return;
-        }
-        clearInterval(portlister);
-        resolve(ok[n++][0]);
-      } else if (!interface.ports.autofind && count > 0) clearInterval(portlister); // stop port finding if port was selected
-    }, 1000); // look for new ports every second
-  });
+  blacklist = {}; // failed tries by pnpId
+  search = null; // the port search of findPorts in progress: {resolve, serialNumber}
+  onGatewayPort = null; // watchPorts callback in gateway mode
+  state = loadState(); // persisted preferences, see interface.ports.stateFile
+
+tracker.on("add", port => {
+  delete blacklist[port.pnpId]; // a replugged device gets new tries
+  update();
+});
+tracker.on("remove", update);
+
+/**
+ * @brief React to an added or removed device by updating the menu and connecting if possible
+ */
+function update() {
+  if (search) {
+    if (!search.serialNumber) dispPorts();
+    pick();
+  } else if (onGatewayPort) connectAll();
 }
 
 /**
- * @brief Remove disconnected ports
- * @param n Number with 'on' bits in positions corresponding to removed devices
- * @return True if some port was removed. Else false
+ * @brief Check if no device is waited for, so that the device list can be read less often
+ * @return True if a port is connected outside gateway mode, or if in gateway mode every accepted
+ * device that hasn't failed too many times is connected
  */
-function removeOld(n) {
-  let p = 1, changes = false;
-  let keys = Object.keys(all);
-  for (let i = 0; i < 30; i++) {
-    if (n&p && keys[i] != undefined) {
-      changes = true;
-      count--;
-      delete(all[keys[i]]);
-    }
-    p <<= 1;
+function idle() {
+  if (search) return false;
+  if (!onGatewayPort) return true;
+  return accepted().every(port => port.path in interface.connections || blacklist[port.pnpId] > interface.ports.maxTries);
+}
+
+/**
+ * @brief Get the present devices that are automatically accepted as SensorTags
+ * @return Array of device infos, the remembered device first and the rest by path
+ */
+function accepted() {
+  return [...tracker.devices.values()].filter(port => matchPort(port).rule != -1) // modify interface.ports.match if autodetect doesn't work
+    .sort((a, b) => isRemembered(b) - isRemembered(a) || (a.path > b.path) - (a.path < b.path));
+}
+
+/**
+ * @brief Finish the port search if a suitable device is present
+ *
+ * With a serial number, only the device with that serial number is suitable. Otherwise the
+ * automatically accepted devices are tried in turns, skipping the ones that failed too many times.
+ */
+function pick() {
+  let port, ports;
+  if (search.serialNumber) {
+    port = [...tracker.devices.values()].find(p => (p.serialNumber || "").toLowerCase() == search.serialNumber.toLowerCase());
+  } else if (interface.ports.autofind) {
+    ports = accepted().filter(p => !(blacklist[p.pnpId] > interface.ports.maxTries)); // stop spamming a port after maxTries tries
+    if (ports.length) port = ports[n++ % ports.length];
+  }
+  if (port) finish(port.path, true);
+}
+
+/**
+ * @brief End the port search and give the console to the consoleHandler
+ * @param path Path of the port to connect to
+ * @param auto True if the port was selected automatically
+ */
+function finish(path, auto) {
+  let resolve = search.resolve;
+  if (auto && !search.serialNumber) {
+    util.showMsg("info", ""); // new line
+    util.showMsg("info", "SensorTag automatically found.");
   }
-  return changes;
+  search = null;
+  util.showMsg("info", `Connecting to ${path}.`);
+  util.rl.removeAllListeners(["line"]);
+  util.rl.on("line", consoleHandler);
+  resolve(path);
 }
 
 /**
- * @brief Print the port menu to console
+ * @brief Check if the '--port' value is a port path rather than a serial number
+ * @param path Value of interface.ports.path
+ * @return True for virtual ports, absolute or relative paths, Windows COM ports and existing files
+ */
+function isPath(path) {
+  return transport.isVirtual(path) || /^(\/|\.|\\\\|COM\d+$)/i.test(path) || fs.existsSync(path);
+}
+
+/**
+ * @brief Print the port menu to console, with the reason why each device was or wasn't accepted
  */
 function dispPorts() {
   process.stdout.write("\033[u\033[J"); // see console_codes(4). Restore cursor location and erase display down
-  let i = 0, color;
-  for (const port of Object.entries(all)) {
-    color = (port[1] in blacklist && blacklist[port[1]] > 3 ? "\033[31m" : "\033[32m");
-    process.stdout.write(color + String(i+1) + "\033[0m:\033[33m " + port[0] + "\033[0m " + port[1] + "\n");
+  let i = 0, color, match, ids;
+  for (const port of tracker.devices.values()) {
+    color = (port.pnpId in blacklist && blacklist[port.pnpId] > 3 ? "\033[31m" : "\033[32m");
+    match = matchPort(port);
+    ids = [port.vendorId && port.productId ? port.vendorId + ":" + port.productId : "", port.manufacturer, port.serialNumber].filter(d => d).join(" ");
+    process.stdout.write(color + String(i+1) + "\033[0m:\033[33m " + port.path + "\033[0m " + (port.pnpId || "") +
+      (ids ? " [" + ids + "]" : "") + "\n     " +
+      (match.rule != -1 ? "\033[32m" : "\033[90m") + match.reason + (isRemembered(port) ? ", used last time" : "") + "\033[0m\n");
     i++;
   }
   process.stdout.write("Choose port number: ");
 }
 
+/**
+ * @brief Check a device against the rules in interface.ports.match
+ * @param port Device info from SerialPort.list()
+ * @return Dictionary with 'rule', the index of the first matching rule or -1, and 'reason', a text
+ * describing the matching rule or why no rule matched
+ *
+ * A device matches a rule if all the fields of the rule match the device info. The field values
+ * are case insensitive regular expressions.
+ */
+function matchPort(port) {
+  let reasons = [], failed;
+  for (const [i, rule] of interface.ports.match.entries()) {
+    failed = Object.keys(rule).find(field => !new RegExp(rule[field], "i").test(port[field] || ""));
+    if (failed == undefined)
+      return {rule: i, reason: "matches rule " + (i+1) + " (" + Object.keys(rule).join(", ") + ")"};
+    reasons.push("rule " + (i+1) + ": " + failed + " '" + (port[failed] || "") + "' is not /" + rule[failed] + "/");
+  }
+  return {rule: -1, reason: reasons.length ? "no match, " + reasons.join("; ") : "no match rules"};
+}
+
+/**
+ * @brief Read the persisted preferences
+ * @return The state dictionary. Empty if the file doesn't exist or can't be read
+ */
+function loadState() {
+  try {
+    return JSON.parse(fs.readFileSync(interface.ports.stateFile, "utf8"));
+  } catch(e) {
+    return {};
+  }
+}
+
+/**
+ * @brief Check if a device is the one that last passed the challenge
+ * @param port Device info from SerialPort.list()
+ * @return True if the serial number, or the pnpId if there is no serial number, is remembered
+ */
+function isRemembered(port) {
+  if (!port || !state.lastPort) return false;
+  if (port.serialNumber) return port.serialNumber == state.lastPort.serialNumber;
+  return port.pnpId != undefined && port.pnpId == state.lastPort.pnpId;
+}
+
+/**
+ * @brief Save the device at path as the preferred one to the state file
+ * @param path Path of the port that passed the challenge
+ */
+function remember(path) {
+  let port = tracker.devices.get(path);
+  if (!port || isRemembered(port)) return; // virtual ports aren't listed
+  state.lastPort = {path: port.path, serialNumber: port.serialNumber, pnpId: port.pnpId};
+  fs.writeFile(interface.ports.stateFile, JSON.stringify(state, null, 2), err => {
+    if (err) util.showMsg("error", "Could not save the port preference: " + err.message);
+  });
+}
+
 /**
  * @brief Checks the user input from stdin
  * @param line The input line from the portUIInput function
@@ -143,13 +239,10 @@ function checkInput(line) {
   return new Promise((resolve, reject) => {
     if (isNaN(line=Number(line).toFixed(0))) {
       process.stdout.write("\033[KThe input should be a number.\033[1A\033[21G\033[K");
-    } else if (line < 1 || line > Object.keys(all).length) {
+    } else if (line < 1 || line > tracker.devices.size) {
       process.stdout.write("\033[KPlease choose one of the numbers above.\033[1A\033[21G\033[K");
     } else {
-      count = -1;
-      let key = Object.keys(all)[line-1];
-      if (!(all.key in blacklist)) blacklist[all.key] = 0; // add to blacklist with 0
-      resolve(key);
+      resolve([...tracker.devices.keys()][line-1]);
     }
     reject();
   });
@@ -166,28 +259,57 @@ function portUIInput() {
   });
 }
 
+/**
+ * @brief Start connecting to all SensorTags in gateway mode. Console input is handled by the
+ * consoleHandler right away, as there is no port selection menu
+ * @param cb Function called with the path of each port to connect to
+ */
+function watchPorts(cb) {
+  onGatewayPort = cb;
+  util.rl.removeAllListeners(["line"]);
+  util.rl.on("line", consoleHandler);
+  util.showMsg("info", "Gateway mode: discovering serial devices...");
+  tracker.start(idle);
+  connectAll();
+}
+
+/**
+ * @brief Connect to all accepted devices that are present and not connected or blacklisted
+ */
+function connectAll() {
+  if (!onGatewayPort) return;
+  for (const port of accepted()) {
+    if (port.path in interface.connections || blacklist[port.pnpId] > interface.ports.maxTries)
+      continue;
+    util.showMsg("info", `Connecting to ${port.path}.`);
+    onGatewayPort(port.path);
+  }
+}
+
 /**
  * @brief The main function for selecting a serial device. Has has its own rl.on('line') handlers.
  * @return Promise resolve with path of port to connect to
+ *
+ * interface.ports.path is connected to right away if it is a path. Otherwise it is taken as the
+ * serial number of the device to wait for, without a menu.
  */
-async function findPorts() {
-  let path = "", start = true;
-  count = 0;
-  ok = [];
-  all = {};
-  return new Promise(async (resolve, reject) => {
-    // Wait for one port selection method to complete
-    let input = portUIInput();
-    let list = listPorts();
-    util.showMsg("info", "Discovering serial devices...");
-    path = await Promise.race([input, list]); // wait for a Promise to resolve
-    if (count != -1) {
-      util.showMsg("info", ""); // new line
-      util.showMsg("info", "SensorTag automatically found.");
+function findPorts() {
+  let given = interface.ports.path;
+  return new Promise(resolve => {
+    search = {resolve: resolve};
+    if (given && isPath(given)) return finish(given, false); // the port was given, so there is nothing to search
+    tracker.start(idle);
+    if (given) {
+      search.serialNumber = given;
+      util.rl.removeAllListeners(["line"]);
+      util.rl.on("line", consoleHandler);
+      util.showMsg("info", `Waiting for the device with serial number ${given}.`);
+    } else {
+      portUIInput().then(path => finish(path, false)); // manual selection
+      process.stdout.write("\033[u\033[0J");
+      util.showMsg("info", "Discovering serial devices...");
+      if (tracker.devices.size) dispPorts();
     }
-    util.showMsg("info", `Connecting to ${path}.`);
-    util.rl.removeAllListeners(["line"]);
-    util.rl.on("line", consoleHandler);
-    resolve(path);
+    pick();
   });
 }
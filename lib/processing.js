@@ -0,0 +1,129 @@
+/**
+ * @file processing.js
+ * @brief Downsampling, averaging and summary statistics of sessions before they are sent
+ * @author Vili Pelttari
+ *
+ * The options of a session come from interface.sessions.processing, and can be changed for a
+ * session with arguments to 'session:start', like 'session:start;every=4;stats':
+ *    every=N     Keep every Nth row of the session, counted from its first row
+ *    window=T    Average the rows over windows of T in the units of timeStamp, ms unless the
+ *                SensorTag sends its own time. A row is sent for each window that has rows, with
+ *                the start of the window as its timeStamp. Applied after 'every'. 0 disables
+ *    stats=1|0   Add 'stats' to the message: {<column>: {count, min, max, mean, stddev}} of the
+ *                numeric values of each sensor, from all the rows. 'stats' is the same as stats=1
+ * A session sent in chunks is processed one chunk at a time, so the stats are those of the chunk.
+ */
+const interface = require("../config");
+const errors = require("./errors");
+
+module.exports = {
+  parseOptions: parseOptions,
+  apply: apply
+};
+
+/**
+ * @brief Read the options of a session
+ * @param text The arguments of 'session:start', like 'every=4;stats'. Undefined for no arguments
+ * @return The options {every, window, stats}, with the defaults of interface.sessions.processing
+ * for the ones not given. Throws an error from errors.make if an argument is not valid
+ */
+function parseOptions(text) {
+  let options = Object.assign({}, interface.sessions.processing), name, value, n;
+  for (const arg of (text || "").split(";").map(d => d.trim()).filter(d => d)) {
+    [name, value] = arg.split("=", 2);
+    n = Number(value == undefined ? 1 : value);
+    if (name == "every" && Number.isInteger(n) && n >= 1) options.every = n;
+    else if (name == "window" && value != undefined && Number.isFinite(n) && n >= 0) options.window = n;
+    else if (name == "stats" && (n == 0 || n == 1)) options.stats = n == 1;
+    else throw errors.make(errors.codes.BAD_VALUE, "Error: Unknown session option '" + arg + "'. The options are every=N, window=T and stats.", "session", text);
+  }
+  return options;
+}
+
+/**
+ * @brief Process the columns of a session for sending
+ * @param columns The columns by name: {<column>: [values]}, with timeStamp
+ * @param options The options of the session, see parseOptions
+ * @param rowsBefore Number of rows in the earlier chunks of the session, for counting 'every'
+ * @return {columns, stats}: the processed columns, and the statistics if they were asked for
+ */
+function apply(columns, options, rowsBefore=0) {
+  let result = {columns: columns}, rows;
+  if (options.stats) result.stats = summarize(columns);
+  if (options.every > 1) {
+    rows = columns.timeStamp.map((d, i) => i).filter(i => (rowsBefore + i) % options.every == 0);
+    result.columns = pick(columns, rows);
+  }
+  if (options.window > 0) result.columns = average(result.columns, options.window);
+  return result;
+}
+
+/**
+ * @brief Take some rows of columns
+ * @param columns The columns by name
+ * @param rows Indexes of the rows
+ * @return The columns with only the rows
+ */
+function pick(columns, rows) {
+  let picked = {};
+  for (const label in columns) picked[label] = rows.map(i => columns[label][i]);
+  return picked;
+}
+
+/**
+ * @brief Average consecutive rows that are in the same time window
+ * @param columns The columns by name, with timeStamp
+ * @param window Length of a window in the units of timeStamp
+ * @return The columns with a row for each window. A column without numbers in a window is null,
+ * and a column of other values has the last value of the window
+ */
+function average(columns, window) {
+  let averaged = {}, groups = [], key, last;
+  columns.timeStamp.forEach((time, i) => {
+    key = Math.floor(time / window);
+    if (key !== last) groups.push({start: key * window, rows: []});
+    groups[groups.length - 1].rows.push(i);
+    last = key;
+  });
+  for (const label in columns) {
+    averaged[label] = groups.map(group => {
+      let values = group.rows.map(i => columns[label][i]).filter(d => d != null), numbers = values.filter(d => typeof d == "number");
+      if (label == "timeStamp") return group.start;
+      if (numbers.length && numbers.length == values.length) return round(numbers.reduce((a, b) => a + b) / numbers.length);
+      return values.length ? values[values.length - 1] : null;
+    });
+  }
+  return averaged;
+}
+
+/**
+ * @brief Calculate the statistics of each sensor column
+ * @param columns The columns by name
+ * @return {<column>: {count, min, max, mean, stddev}} for the columns with numbers, except timeStamp.
+ * stddev is the population standard deviation
+ */
+function summarize(columns) {
+  let stats = {}, numbers, mean;
+  for (const label in columns) {
+    numbers = columns[label].filter(d => typeof d == "number");
+    if (label == "timeStamp" || numbers.length == 0) continue;
+    mean = numbers.reduce((a, b) => a + b) / numbers.length;
+    stats[label] = {
+      count: numbers.length,
+      min: numbers.reduce((a, b) => Math.min(a, b)),
+      max: numbers.reduce((a, b) => Math.max(a, b)),
+      mean: round(mean),
+      stddev: round(Math.sqrt(numbers.reduce((sum, d) => sum + (d - mean) ** 2, 0) / numbers.length))
+    };
+  }
+  return stats;
+}
+
+/**
+ * @brief Round away the floating point noise of a calculated value
+ * @param value The value
+ * @return The value with 12 significant digits
+ */
+function round(value) {
+  return Number(value.toPrecision(12));
+}
@@ -1,32 +1,64 @@
 const uart = require("./uart");
 const interface = require("../config");
 const util = require("./util");
+const binary = require("./binary");
+const checksum = require("./checksum");
+const errors = require("./errors");
+const calibration = require("./calibration");
+const clock = require("./clock");
+const session = require("./session");
+const processing = require("./processing");
+const fields = require("./fields");
+const codes = errors.codes;
 const moment = require("moment");
 let reader = {};
 
-let sessionData = {}; // sensor data is split into sessions, stored here
 /**
  * @brief Read key-value pairs from received SensorTag message
  * @param data The SensorTag message: Buffer.from("id:XXXX,data1:CCCCCCCC,...") or in server use,
  * the id is given as two LE bytes in the beginning: Buffer.from("abdata1:CCCCCC,...") where ab is
- * the address id:6261.
+ * the address id:6261. Binary messages (see binary.js) are read into the same key-value pairs.
+ * @param conn The port connection the data was received from. Undefined for messages made in the
+ * interface itself
  * @return Promise resolves with a list of dictionaries for each topic to be sent to backend. Rejects
- * with error messages
+ * with error messages, one line for each error in the message
  */
-unwrap = reader.unwrap = (data) => {
+unwrap = reader.unwrap = (data, conn) => {
   // Decode data from escape characters
   data = util.decodeEscapedBuffer(data);
   return new Promise((resolve, reject) => {
-    data = readDataToString(data);
+    let pairs = null, note = "";
+    // Reject with all errors of the message, and reply their codes to the sender if enabled
+    let fail = (errs, text) => {
+      errs = [].concat(errs);
+      if (interface.uart.errorReplies && conn) {
+        uart.uartWrite({addr: senderId(text), path: conn.path, str: "ERR:" + errs.map(e => e.code).join(";"), priority: "high"});
+      }
+      reject(errors.format(errs));
+    };
+    if (binary.isBinary(data)) {
+      try {
+        pairs = binary.decode(data);
+      } catch(err) {
+        fail(err, readDataToString(data)[1]);
+        return;
+      }
+      data = [interface.isServer ? pairs[0][1] : "", binary.toText(pairs)];
+      note = " (binary)";
+    } else data = readDataToString(data);
     prefix = data[0]
     data = data[1]
 
     // Handle constant internal messaging
     if (data == "id:fefe,\x01HB") {
       let now = Date.now();
-      if (interface.heartbeatInterval*1.5 < now - uart.hbTime)
-        util.showMsg("info", "Heartbeat: ServerTag reconnected.");
-      uart.hbTime = now;
+      if (!conn) {
+        resolve({});
+        return;
+      }
+      if (interface.heartbeatInterval*1.5 < now - conn.hbTime)
+        util.showMsg("info", "Heartbeat: ServerTag at " + conn.path + " reconnected.");
+      conn.hbTime = now;
       resolve({});
       return;
     }
@@ -37,19 +69,47 @@ unwrap = reader.unwrap = (data) => {
         util.showMsg("recv", data);
         return;
       } else {
-        util.showMsg("recv", new Date().toTimeString().split(" ")[0] + "> " + JSON.stringify(data).slice(1, -1));
+        util.showMsg("recv", new Date().toTimeString().split(" ")[0] + "> " + JSON.stringify(data).slice(1, -1) + note);
       }
     } else {
       if (data[8] === "|") {
         util.showMsg("recv", data.slice(9));
         return;
       } else {
-        util.showMsg("recv", new Date().toTimeString().split(" ")[0] + " " + prefix + "> " + JSON.stringify(data).slice(9, -1)); // slice off id:XXXX
+        util.showMsg("recv", new Date().toTimeString().split(" ")[0] + " " + prefix + "> " + JSON.stringify(data).slice(9, -1) + note); // slice off id:XXXX
+      }
+    }
+
+    // Verify and remove the checksum of a text message
+    if (!pairs) {
+      try {
+        data = checksum.strip(data, interface.isServer ? 8 : 0, () => countChecksumError(data));
+      } catch(err) {
+        countChecksumError(data);
+        fail(err, data);
+        return;
       }
     }
 
-    readDataTokens(data).then(([addr, sends, resultDicts]) => {
-      interface.connectedAddresses[addr] = Date.now(); // Save the time when this address sent something, for replies
+    // Error positions are counted in the received text, without the 'id:XXXX,' added in server use
+    (pairs ? readPairs(pairs) : readDataTokens(data, interface.isServer ? 8 : 0)).then(([addr, sends, resultDicts]) => {
+      // Save the time when this address sent something and the port it came from, for replies. The
+      // ID is normalized, so the backend can use it in any form
+      interface.connectedAddresses[util.normalizeId(addr)] = {time: Date.now(), path: conn ? conn.path : undefined};
+
+      // Correct the values with the calibration of this SensorTag before they are used
+      calibration.apply(addr, resultDicts);
+
+      // Clock synchronisation: answer a sync request or use a reply, and convert device times to UTC
+      if (resultDicts.commands && "sync" in resultDicts.commands) {
+        clock.receive(addr, resultDicts.commands.sync, conn);
+      }
+      clock.convert(addr, resultDicts);
+
+      // Delivery confirmation of an acknowledged mode message
+      if (resultDicts.commands && "ack" in resultDicts.commands) {
+        uart.acknowledge(conn, resultDicts.commands.ack);
+      }
 
       // Add together values from multiple commands, and output a single value
       if (resultDicts.tamaActions) {
@@ -58,62 +118,76 @@ unwrap = reader.unwrap = (data) => {
         sends.push("event");
       }
 
+      // Name of the session the message is for, like in 'session:start:calib' or 'sname:calib'.
+      // "" is the default session
+      let sessionName = resultDicts.commands && resultDicts.commands.sessionName || "";
+      if (sessionName && !/^[\w-]{1,32}$/.test(sessionName)) {
+        fail(errors.make(codes.BAD_VALUE, "Error: Session name has to be 1 to 32 letters, digits, '_' or '-': " + sessionName, "session"), data);
+        return;
+      }
+
       // Session start
       if (resultDicts.commands && resultDicts.commands.session == true) {
-        // Session start logic. Allow resetting the session buffer while a session is being
-        // recorded.
-        sessionData[addr] = makeDataEntry(addr);
+        // Session start logic. A session of the same name that is being recorded is ended and
+        // sent first. The options are like 'session:start;every=4;stats'
+        let options;
+        try {
+          options = processing.parseOptions(resultDicts.commands.sessionOptions);
+        } catch(err) {
+          fail(err, data);
+          return;
+        }
+        // The time base is kept for the whole session, even if the SensorTag syncs meanwhile
+        session.start(addr, sessionName, options, clock.isSynced(addr));
       }
 
-      // Add sensordata to the sessionData
+      // Add sensordata to the sessionData: to the named session, or to the default session if the
+      // row has no name
       if (resultDicts["sensordata"]) {
-        if (!(addr in sessionData)) {
-          reject("Error: Sensor data received while no session has been started.");
+        let entry = session.get(addr, sessionName), row = Object.assign({}, resultDicts.sensordata);
+        if (!entry) {
+          fail(errors.make(codes.NO_SESSION, "Error: Sensor data received while " +
+            (sessionName ? "session '" + sessionName + "' has not been started." : "no session has been started.")), data);
           return;
         }
-        // if the sessionData for this addr is too large, abort adding more rows
-        if (sessionData[addr].timeStamp.length >= interface.maxSessionRows) {
-          reject("Error: Sensor data session is full (" + interface.maxSessionRows + " rows).");
-          return;
+        // A session started with a synced clock has UTC epoch ms: the converted device time, or the
+        // arrival time. Otherwise the device time as it is, or the ms from the session start
+        if (entry.utc) {
+          row.timeStamp = "timeStamp" in row ? clock.toUtc(addr, row.timeStamp) : undefined;
+          if (row.timeStamp == undefined) row.timeStamp = Date.now();
+        } else if (!("timeStamp" in row)) {
+          row.timeStamp = moment().utc().diff(entry.sessionTimeStamp);
         }
-        // it is in sessionData, so we push each sensor into it
-        for (label in sessionData[addr]) {
-          if (label == "sensortagID") continue;
-          if (label == "sessionTimeStamp") continue;
-          if (label == "timeStamp" && !(label in resultDicts.sensordata)) {
-            sessionData[addr].timeStamp.push(moment().utc().diff(sessionData[addr].sessionTimeStamp));
-            continue;
-          }
-          if (label in resultDicts.sensordata) // fill sensor data into the session buffer
-            sessionData[addr][label].push(resultDicts.sensordata[label]);
-          else
-            sessionData[addr][label].push(null);
+        // if the sessions use all of their memory, abort adding more rows
+        if (!session.fits(addr, sessionName, row)) {
+          fail(errors.make(codes.SESSION_FULL, "Error: Sensor data sessions use all of their memory (" +
+            Number((interface.sessions.memoryBudget / 1048576).toFixed(1)) + " MiB). The row was not added."), data);
+          return;
         }
+        session.addRow(addr, sessionName, row); // missing sensors are null
       }
 
       // Reply to ping with pong before the session end is handled:
       // This allows spamming session commands over an unstable connection, and definitely knowing
       // that the command went through
       if (resultDicts.commands && resultDicts.commands.ping) { // Ping can likely be used as a confirmation of correct message
-        uartWrite({addr: addr, str: resultDicts.commands.ping});
+        uartWrite({addr: addr, str: resultDicts.commands.ping, priority: "high"});
       }
 
       // Session end
       if (resultDicts.commands && resultDicts.commands.session == false) {
         // Session end logic
         // Check if active session exists
-        if (addr in sessionData) {
-          if (sessionData[addr].timeStamp.length == 0) { // Don't send an empty session
+        if (session.get(addr, sessionName)) {
+          if (session.rows(addr, sessionName) == 0) { // Don't send an empty session
             //delete sessionData[addr]; // Remove empty session
-            reject("Error: The session was empty. It will not be sent.");
+            fail(errors.make(codes.EMPTY_SESSION, "Error: The session was empty. It will not be sent."), data);
             return;
           }
-          delete sessionData[addr].sessionTimeStamp;
-          util.showMsg("info", "Session from " + addr + " ended, sending " + sessionData[addr].ax.length + " rows of data.")
-          comm.send("sensordata", sessionData[addr]);
-          delete sessionData[addr]; // erase data after send
+          util.showMsg("info", session.describe(addr, sessionName) + " ended, sending " + session.rows(addr, sessionName) + " rows of data.")
+          session.end(addr, sessionName); // the session is kept on disk until it has been sent
         } else {
-          reject("Error: No session was started. Session data send prevented.");
+          fail(errors.make(codes.SESSION_NOT_STARTED, "Error: No session was started. Session data send prevented."), data);
           return;
         }
       }
@@ -121,10 +195,31 @@ unwrap = reader.unwrap = (data) => {
       for (const topic of interface.topics)
         if (!sends.includes(topic)) delete resultDicts[topic];
       resolve(resultDicts);
-    }, reject /* Pass tokenization errors forward */);
+    }, errs => fail(errs, data) /* Pass tokenization errors forward */);
   });
 }
 
+/**
+ * @brief Find the sender ID of a message that couldn't be read
+ * @param data The received message, with 'id:XXXX,' in the beginning in server use
+ * @return The ID as four lowercase hex digits, or undefined if the message doesn't begin with it
+ *
+ * Without the server, the ID is read from the message itself, so it may be corrupted too.
+ */
+function senderId(data) {
+  let match = data.match(/^id:([0-9a-f]{1,4})(,|\*|$)/i);
+  return match ? util.normalizeId(match[1]) : undefined;
+}
+
+/**
+ * @brief Count a message with a bad or missing checksum for its sender
+ * @param data The received message, with 'id:XXXX,' in the beginning in server use
+ */
+function countChecksumError(data) {
+  let id = senderId(data) || "unknown";
+  interface.checksumErrors[id] = (interface.checksumErrors[id] || 0) + 1;
+}
+
 /**
  * @brief Convert the Buffer to a String, including a key-value for the id if in server use
  * @param data Buffer received from UART. In server use, the first two bytes will be the sender
@@ -146,60 +241,105 @@ function readDataToString(data) {
  * the database, and the decoded items of data from each topic.
  * @param data String with key(-value) pairs defined in interface.dataTypes:
  * "id:0025,event:UP,session:start,press:101325.61,ping"
+ * @param skip Number of characters at the beginning of data that were not in the received message
+ * @return Promise with resolving in the sender address, topics that will be sent to the database,
+ * and the data inside these topics. The reject contains an array of the errors, see errors.js
+ */
+function readDataTokens(data, skip=0) {
+  let pairs;
+  try {
+    pairs = splitTokens(data, skip);
+  } catch(err) {
+    return Promise.reject([err]);
+  }
+  return readPairs(pairs);
+}
+
+/**
+ * @brief Decode name-value pairs with interface.dataTypes, see readDataTokens
+ * @param pairs Array of [name, value] pairs from a text or binary message
  * @return Promise with resolving in the sender address, topics that will be sent to the database,
- * and the data inside these topics. The reject contains a string describing the error
+ * and the data inside these topics. The reject contains an array of all errors in the pairs
  */
-function readDataTokens(data) {
-  let addr = null, sends = [], resultDicts = {}, pair, dtype;
-  let tokens = data.split(",");
+function readPairs(pairs) {
+  let addr = null, sends = [], resultDicts = {}, errs = [], dtype;
   return new Promise(async (resolve, reject) => {
-    for (const token of tokens) { // iterate through tokens
-      pair = token.split(":");
-      pair = [pair[0], pair.slice(1).join(":")].map(d => d.trim()); // pair = [name, value]
+    for (const pair of pairs) { // iterate through [name, value] pairs
       dtype = interface.dataTypes.find(type => type.shortName == pair[0]);
       if (dtype != undefined) { // if name is found in defined data types
-        // Execute the dtype decode function with the parameter value if it exists
-        await dtype.fun(pair.length == 1 ? undefined : pair[1]).then(
+        // Execute the dtype decode function with the parameter value
+        await dtype.fun(pair[1]).then(
           d => {
             for (const table of dtype.topics) {
               if (dtype.shortName == "id") addr = d; // get the addr for other uses
               if (dtype.forceSend != false && !sends.includes(table)) sends.push(table);
               if (!(table in resultDicts)) resultDicts[table] = {};
               resultDicts[table][dtype.nameInDB] = d; // add decoded data into table
+              if (dtype.schema.qualifier || dtype.schema.arguments) { // like 'session:start:calib;every=4'
+                let [, qualifier, args] = fields.splitValue(pair[1], dtype.schema);
+                if (qualifier != undefined) resultDicts[table][dtype.schema.qualifier] = qualifier;
+                if (dtype.schema.arguments) resultDicts[table][dtype.schema.arguments] = args;
+              }
             }
-          }, reject /* pass error forward */);
+          }, err => { // collect the error and check the rest of the pairs
+            err.field = pair[0];
+            err.value = pair[1];
+            errs.push(err);
+          });
       } else {
-        // Couldn't find the name in the dataTypes. Find closest match and throw an error
-        reject("Error: Unknown field label \"" + pair[0] + "\". Did you mean \"" +
-          util.closestMatch(pair[0].toLowerCase(), interface.dataTypes.map(d=>d.shortName)) + "\"?");
+        // Couldn't find the name in the dataTypes. Find closest match for the error
+        errs.push(errors.make(codes.UNKNOWN_FIELD, "Error: Unknown field label \"" + pair[0] + "\". Did you mean \"" +
+          util.closestMatch(pair[0].toLowerCase(), interface.dataTypes.map(d=>d.shortName)) + "\"?", pair[0], pair[1]));
       }
     }
-    if (!addr) reject("Error: No SensorTag ID given!");
-    resolve([addr, sends, resultDicts]);
+    if (!addr && !errs.some(e => e.field == "id")) errs.push(errors.make(codes.NO_ID, "Error: No SensorTag ID given!"));
+    if (errs.length) reject(errs);
+    else resolve([addr, sends, resultDicts]);
   });
 }
 
 /**
- * @brief Create a data entry for storing the session data
- * @param addr The SensorTag ID for which this data entry belongs
- * @return An empty data entry filled with the address and the session time stamp
+ * @brief Split a received message into name-value pairs
+ * @param data String with comma separated tokens 'name:value' or 'name'
+ * @param skip Number of characters at the beginning of data that were not in the received message
+ * @return Array of [name, value] pairs. The value is '' for tokens without one
+ *
+ * Values are trimmed, unless they are quoted: 'MSG1:"Health, 40%"'. Inside quotes, '\"' is a quote
+ * and '\\' a backslash. Outside quotes, '\,' is a comma and '\\' a backslash. Other backslashes and
+ * quotes in the middle of a value are kept as they are, so older messages are read like before.
+ * Throws an error from errors.make with the character position if the quoting is malformed.
  */
-function makeDataEntry(addr) {
-  return {
-          sensortagID: addr,
-          sessionTimeStamp: moment().utc(),
-          temperature: [],
-          humidity: [],
-          pressure: [],
-          lightIntensity: [],
-          timeStamp: [],
-          ax: [],
-          ay: [],
-          az: [],
-          gx: [],
-          gy: [],
-          gz: []
-        };
+function splitTokens(data, skip) {
+  let pairs = [], name = null, text = "", quote = -1, quoted = false, c;
+  let pos = i => i + 1 - skip; // character position in the received message
+  for (let i = 0; i <= data.length; i++) {
+    c = data[i];
+    if (quote >= 0) { // inside a quoted value
+      if (c == undefined) throw errors.make(codes.QUOTING, "Error: Unterminated quote starting at character " + pos(quote) + ".", name);
+      if (c == "\\" && (data[i+1] == '"' || data[i+1] == "\\")) text += data[++i];
+      else if (c == '"') {
+        quote = -1;
+        quoted = true;
+      } else text += c;
+    } else if (c == undefined || c == ",") { // end of token
+      if (name == null) pairs.push([text.trim(), ""]);
+      else pairs.push([name, quoted ? text : text.trim()]);
+      name = null;
+      text = "";
+      quoted = false;
+    } else if (quoted) {
+      if (c.trim() != "") throw errors.make(codes.QUOTING, "Error: Unexpected '" + c + "' after the closing quote at character " + pos(i) + ". Expected ','.", name);
+    } else if (c == ":" && name == null) {
+      name = text.trim();
+      text = "";
+    } else if (c == '"' && name != null && text.trim() == "") { // quote at the beginning of a value
+      quote = i;
+      text = "";
+    } else if (c == "\\" && (data[i+1] == "," || data[i+1] == "\\")) {
+      text += data[++i];
+    } else text += c;
+  }
+  return pairs;
 }
 
 module.exports = reader;
@@ -0,0 +1,463 @@
+/**
+ * @file session.js
+ * @brief Sensor data sessions, journaled to disk so that they survive crashes
+ * @author Vili Pelttari
+ *
+ * Each session is written to its own file in interface.sessions.dir as its rows arrive. The file is
+ * JSON lines: a header {sensortagID, sessionTimeStamp, columns}, an array of the column values for
+ * each row, and {"end": true} when the session has ended. An ended session is sent to the backend
+ * when it is connected, and its file is removed only after the backend has confirmed that it got
+ * it, see comm.js.
+ *
+ * With interface.sessions.chunkRows set, a session is sent in chunks of that many rows while it is
+ * recorded. Each chunk is saved and sent like a session of its own, with the sessionID of the whole
+ * session, the chunk number seq from 0, and final set in the last chunk, which is sent at the end.
+ *
+ * A session that gets no rows for interface.sessions.idleTimeout ms, or whose SensorTag was last
+ * seen on a port that closes, is closed automatically: ended and sent, or discarded, as set by
+ * interface.sessions.closePolicy.
+ *
+ * The rows are stored in tables of typed arrays, see table.js. All the sessions being recorded
+ * share interface.sessions.memoryBudget bytes. An ended session doesn't keep its rows in memory
+ * while it waits to be sent: they are read back from its file for sending.
+ *
+ * A SensorTag can record several sessions at the same time by naming them, like
+ * 'session:start:calib'. The session without a name is the default one. A named session is sent
+ * with its sessionName.
+ *
+ * Before a session is sent, it can be downsampled, averaged over time windows and summarized, as
+ * set by its options, see processing.js.
+ *
+ * Ended sessions are also exported to local files, see exporter.js. Without a backend
+ * (interface.backend "none"), an ended session is done after the export, and its file is removed,
+ * as there is nothing to send it to.
+ *
+ * On startup the files are read back. Ended sessions are sent again, and sessions that were being
+ * recorded are resumed, or ended and sent if interface.sessions.recovered is "send".
+ */
+const fs = require("fs");
+const path = require("path");
+const moment = require("moment");
+const interface = require("../config");
+const util = require("./util");
+const comm = require("./comm");
+const exporter = require("./exporter");
+const table = require("./table");
+const processing = require("./processing");
+
+// Sessions being recorded by SensorTag ID, and ':' and the name for named sessions: {id, name, file,
+// started, sessionTimeStamp, lastRow, table, options, chunk, rowsBefore, utc, recovered}. Ended sessions
+// have the number of rows instead of the table
+let active = {};
+let unsent = []; // ended sessions waiting to be sent, oldest first
+let retryTimer, idleTimer;
+
+module.exports = {
+  get: get,
+  describe: describe,
+  rows: rows,
+  fits: fits,
+  start: start,
+  addRow: addRow,
+  end: end,
+  closePort: closePort,
+  recover: recover,
+  command: command
+};
+
+/**
+ * @brief Form the key of a session in active
+ * @param addr SensorTag ID
+ * @param name Name of the session, "" for the default session
+ * @return The key
+ */
+function key(addr, name) {
+  return name ? addr + ":" + name : addr;
+}
+
+/**
+ * @brief Get a session being recorded
+ * @param addr SensorTag ID
+ * @param name Name of the session, "" for the default session
+ * @return The session, with the start time as the moment sessionTimeStamp, or undefined if the
+ * session has not been started
+ */
+function get(addr, name="") {
+  return active[key(addr, name)];
+}
+
+/**
+ * @brief Describe a session for the console
+ * @param addr SensorTag ID
+ * @param name Name of the session, "" for the default session
+ * @return Text like "Session 'calib' from 0123"
+ */
+function describe(addr, name="") {
+  return "Session " + (name ? "'" + name + "' " : "") + "from " + addr;
+}
+
+/**
+ * @brief Count the rows of a session being recorded
+ * @param addr SensorTag ID
+ * @param name Name of the session, "" for the default session
+ * @return The number of rows, including the ones in chunks already sent
+ */
+function rows(addr, name="") {
+  let s = get(addr, name);
+  return s ? s.rowsBefore + s.table.length : 0;
+}
+
+/**
+ * @brief Check if a row fits in the memory budget of the sessions
+ * @param addr SensorTag ID
+ * @param name Name of the started session to add the row to, "" for the default session
+ * @param row The values of the row by column name
+ * @return True if the memory the row needs, with the memory of all sessions being recorded, is at
+ * most interface.sessions.memoryBudget bytes
+ */
+function fits(addr, name, row) {
+  return memoryUsed() + table.cost(get(addr, name).table, row) <= interface.sessions.memoryBudget;
+}
+
+/**
+ * @brief Count the memory used by the sessions being recorded
+ * @return Number of bytes
+ */
+function memoryUsed() {
+  return Object.values(active).reduce((sum, s) => sum + table.bytes(s.table), 0);
+}
+
+/**
+ * @brief Start a new session for a SensorTag. A session of the same name that was being recorded is
+ * ended and sent first, or removed if it has no rows
+ * @param addr SensorTag ID
+ * @param name Name of the session, "" for the default session
+ * @param options Processing options of the session, see processing.js
+ * @param utc True if the rows are timed in UTC epoch ms, as the clock of the SensorTag is synced.
+ * Otherwise they have the device times as they are, or the ms from the session start
+ */
+function start(addr, name, options, utc=false) {
+  let old = get(addr, name);
+  if (old && rows(addr, name)) {
+    util.showMsg("info", describe(addr, name) + " was started again, sending the " + rows(addr, name) + " rows of the earlier one.");
+    end(addr, name);
+  } else if (old) {
+    delete active[key(addr, name)];
+    remove(old);
+  }
+  open(addr, name, moment().utc(), options, interface.sessions.chunkRows ? {seq: 0} : undefined, 0, utc);
+}
+
+/**
+ * @brief Begin saving a session, or the next chunk of a session, to a new file
+ * @param addr SensorTag ID
+ * @param name Name of the session, "" for the default session
+ * @param sessionTimeStamp Start time of the session as a moment
+ * @param options Processing options of the session, see processing.js
+ * @param chunk {sessionID, seq} of the chunk, or undefined if the session is sent as a whole. A new
+ * sessionID is made if it is not given
+ * @param rowsBefore Number of rows in the earlier chunks of the session
+ * @param utc True if the rows are timed in UTC epoch ms, see start()
+ */
+function open(addr, name, sessionTimeStamp, options, chunk, rowsBefore, utc) {
+  let s = {id: addr, name: name, started: sessionTimeStamp.valueOf(), sessionTimeStamp: sessionTimeStamp, lastRow: Date.now(), options: options,
+    chunk: chunk, rowsBefore: rowsBefore, utc: utc};
+  if (chunk && !chunk.sessionID) chunk.sessionID = key(addr, name) + "-" + s.started;
+  s.table = table.make(sensorColumns());
+  s.file = path.join(interface.sessions.dir, addr + (name ? "-" + name : "") + "-" + s.started + (chunk ? "-" + chunk.seq : "") + ".jsonl");
+  active[key(addr, name)] = s;
+  try {
+    fs.mkdirSync(interface.sessions.dir, {recursive: true});
+  } catch(err) {} // reported by the write below
+  write(s, {sensortagID: addr, sessionName: name, sessionTimeStamp: s.started, columns: s.table.columns, options: options, chunk: chunk, rowsBefore: rowsBefore, utc: utc});
+}
+
+/**
+ * @brief Add a row to a session. A full chunk is sent, and the next one begun
+ * @param addr SensorTag ID
+ * @param name Name of the started session, "" for the default session
+ * @param row The values of the row by column name. Missing columns are null
+ */
+function addRow(addr, name, row) {
+  let s = get(addr, name), rowsBefore;
+  table.add(s.table, row);
+  s.lastRow = Date.now();
+  write(s, s.table.columns.map(label => row[label] == null ? null : row[label]));
+  if (s.chunk && s.table.length >= interface.sessions.chunkRows) {
+    rowsBefore = s.rowsBefore + s.table.length;
+    finish(s, false);
+    // relative time stamps continue from the session start
+    open(addr, name, s.sessionTimeStamp, s.options, {sessionID: s.chunk.sessionID, seq: s.chunk.seq + 1}, rowsBefore, s.utc);
+  }
+}
+
+/**
+ * @brief End a session, and send it to the backend
+ * @param addr SensorTag ID
+ * @param name Name of the started session, "" for the default session
+ */
+function end(addr, name="") {
+  let s = get(addr, name);
+  delete active[key(addr, name)];
+  finish(s);
+}
+
+/**
+ * @brief Close a session automatically, and tell it in the console
+ * @param s The session
+ * @param reason Why the session is closed
+ *
+ * With the "discard" policy, only the rows that have not been sent are discarded: chunks of the
+ * session that were sent already stay in the backend.
+ */
+function close(s, reason) {
+  let n = rows(s.id, s.name);
+  if (n == 0 || interface.sessions.closePolicy == "discard") {
+    delete active[key(s.id, s.name)];
+    remove(s);
+    util.showMsg("info", describe(s.id, s.name) + " closed, " + reason + ": " + (n ? "discarded " + s.table.length + " rows." : "it was empty."));
+  } else {
+    util.showMsg("info", describe(s.id, s.name) + " closed, " + reason + ": sending " + n + " rows of data.");
+    end(s.id, s.name);
+  }
+}
+
+/**
+ * @brief Close the sessions that have had no rows for interface.sessions.idleTimeout ms
+ */
+function closeIdle() {
+  let now = Date.now();
+  if (!interface.sessions.idleTimeout) return;
+  for (const s of Object.values(active)) {
+    if (now - s.lastRow > interface.sessions.idleTimeout)
+      close(s, "no rows in " + interface.sessions.idleTimeout / 1000 + " s");
+  }
+}
+
+/**
+ * @brief Close the sessions of the SensorTags that were last seen on a port, when the port closes
+ * @param path Path of the closed port
+ */
+function closePort(path) {
+  for (const s of Object.values(active)) {
+    let seen = interface.connectedAddresses[util.normalizeId(s.id)];
+    if (seen && seen.path == path)
+      close(s, "port " + path + " closed");
+  }
+}
+
+/**
+ * @brief Mark a session or a chunk ended in its file, export it, and send it. Its rows are released
+ * from memory
+ * @param s The session
+ * @param final False for a chunk that is not the last one of its session
+ */
+function finish(s, final=true) {
+  if (s.chunk) s.chunk.final = final;
+  write(s, {end: true, final: final});
+  let columns = table.toColumns(s.table);
+  if (!interface.export.raw) columns = processing.apply(columns, s.options, s.rowsBefore).columns;
+  exporter.write(s.id, s.name, s.started, columns, !s.chunk || s.chunk.seq == 0);
+  if (interface.backend == "none") { // there is nothing to send it to
+    remove(s);
+    return;
+  }
+  release(s);
+  unsent.push(s);
+  if (!comm.connected() && final)
+    util.showMsg("info", "Backend is not connected. " + describe(s.id, s.name) + " is kept in " + s.file + " and sent later.");
+  flush();
+}
+
+/**
+ * @brief Release the rows of an ended session from memory. They stay in its file
+ * @param s The session
+ */
+function release(s) {
+  if (!s.table) return;
+  s.rows = s.table.length;
+  delete s.table;
+}
+
+/**
+ * @brief Send the ended sessions to the backend, if it is connected. A session is removed from the
+ * disk when the backend confirms it, and sent again later if it doesn't
+ */
+function flush() {
+  for (const s of unsent) {
+    if (!comm.connected()) return;
+    if (s.sending) continue;
+    if (!s.table) s.table = (load(s.file) || {}).table;
+    if (!s.table) { // the file is gone or broken, and the error was shown
+      unsent.splice(unsent.indexOf(s), 1);
+      return flush();
+    }
+    s.sending = true;
+    comm.send("sensordata", payload(s)).then(() => {
+      if (unsent.includes(s)) unsent.splice(unsent.indexOf(s), 1);
+      remove(s);
+      delete s.table;
+    }, err => {
+      s.sending = false;
+      release(s);
+      util.showMsg("error", "Could not send " + describe(s.id, s.name).toLowerCase() + ": " + err.message);
+    });
+  }
+}
+
+/**
+ * @brief Form the message of an ended session or chunk for the backend
+ * @param s The session
+ * @return The processed session data, with its stats if they were asked for. A named session has its
+ * sessionName after the sensortagID. A chunk begins with its sessionID, seq and final
+ */
+function payload(s) {
+  let result = processing.apply(table.toColumns(s.table), s.options, s.rowsBefore);
+  let data = Object.assign({sensortagID: s.id}, s.name ? {sessionName: s.name} : {}, result.columns);
+  if (result.stats) data.stats = result.stats;
+  if (!s.chunk) return data;
+  return Object.assign({sensortagID: s.id, sessionID: s.chunk.sessionID, seq: s.chunk.seq, final: s.chunk.final}, data);
+}
+
+/**
+ * @brief Append a line to the file of a session. Errors are shown once for each session
+ * @param s The session
+ * @param line The value to write as JSON
+ */
+function write(s, line) {
+  try {
+    fs.appendFileSync(s.file, JSON.stringify(line) + "\n");
+  } catch(err) {
+    if (!s.writeFailed) util.showMsg("error", "Could not save " + describe(s.id, s.name).toLowerCase() + " to disk: " + err.message);
+    s.writeFailed = true;
+  }
+}
+
+/**
+ * @brief Remove the file of a session
+ * @param s The session
+ */
+function remove(s) {
+  fs.unlink(s.file, err => {
+    if (err && err.code != "ENOENT") util.showMsg("error", "Could not remove " + s.file + ": " + err.message);
+  });
+}
+
+/**
+ * @brief Read the sessions saved in interface.sessions.dir. Start retrying the sends every
+ * interface.sessions.retryInterval ms, and closing the idle sessions
+ */
+function recover() {
+  let files = [], sessions, resumed = 0;
+  try {
+    files = fs.readdirSync(interface.sessions.dir).filter(file => file.endsWith(".jsonl"));
+  } catch(err) {
+    if (err.code != "ENOENT") util.showMsg("error", "Could not read the saved sessions: " + err.message);
+  }
+  sessions = files.map(file => load(path.join(interface.sessions.dir, file))).filter(s => s);
+  for (const s of sessions.sort((a, b) => a.started - b.started || (a.chunk ? a.chunk.seq - b.chunk.seq : 0))) {
+    if (s.ended) {
+      release(s);
+      unsent.push(s);
+    } else if (interface.sessions.recovered == "send" && s.table.length) {
+      finish(s);
+    } else if (interface.sessions.recovered == "send") {
+      remove(s);
+    } else {
+      if (get(s.id, s.name)) finish(get(s.id, s.name)); // an older one of the same session
+      active[key(s.id, s.name)] = s;
+      resumed++;
+    }
+  }
+  if (sessions.length) {
+    util.showMsg("info", "Recovered " + sessions.length + " sensor data sessions from " + interface.sessions.dir + ": " + resumed +
+      " resumed and " + unsent.length + " to be sent. See '.sessions'.");
+  }
+  flush();
+  if (!retryTimer) {
+    retryTimer = setInterval(flush, interface.sessions.retryInterval);
+    retryTimer.unref();
+    idleTimer = setInterval(closeIdle, 1000);
+    idleTimer.unref();
+  }
+}
+
+/**
+ * @brief Read a session file
+ * @param file Path of the file
+ * @return The session, or undefined if the file can't be read. Rows cut short by a crash are skipped
+ */
+function load(file) {
+  let lines, header, s, row;
+  try {
+    lines = fs.readFileSync(file, "utf8").split("\n");
+    header = JSON.parse(lines[0]);
+    s = {id: header.sensortagID, name: header.sessionName || "", file: file, started: header.sessionTimeStamp, sessionTimeStamp: moment.utc(header.sessionTimeStamp),
+      lastRow: Date.now(), table: table.make(header.columns), options: header.options || processing.parseOptions(), chunk: header.chunk, rowsBefore: header.rowsBefore || 0, utc: header.utc == true, recovered: true};
+  } catch(err) {
+    util.showMsg("error", "Could not recover the session in " + file + ": " + err.message);
+    return;
+  }
+  for (const line of lines.slice(1)) {
+    try {
+      row = JSON.parse(line);
+    } catch(err) {
+      continue;
+    }
+    if (Array.isArray(row)) table.add(s.table, Object.fromEntries(s.table.columns.map((label, i) => [label, row[i]])));
+    else if (row.end) {
+      s.ended = true;
+      if (s.chunk) s.chunk.final = row.final;
+    }
+  }
+  if (lines[lines.length - 1] != "") {
+    try {
+      fs.appendFileSync(file, "\n"); // start the next row on a line of its own
+    } catch(err) {}
+  }
+  return s;
+}
+
+/**
+ * @brief List the columns of the session data
+ * @return The nameInDB of each field of the sensordata topic
+ */
+function sensorColumns() {
+  return interface.dataTypes.filter(dtype => dtype.topics.includes("sensordata")).map(dtype => dtype.nameInDB);
+}
+
+/**
+ * @brief Handle the '.sessions' console command
+ * @param args The arguments of the command:
+ *          -'':            list the sessions being recorded and the ones waiting to be sent
+ *          -'discard <n>': remove session number n of the list, or all of them with 'all'
+ *          -'send <n>':    end session number n of the list and send it
+ */
+function command(args) {
+  let [cmd, n] = args.split(/\s+/).filter(d => d), list = Object.values(active).concat(unsent), chosen;
+  if (!cmd) {
+    util.showMsg("info", list.length ? "Sessions, using " + (memoryUsed() / 1048576).toFixed(1) + " of " +
+      (interface.sessions.memoryBudget / 1048576).toFixed(1) + " MiB of memory:\n" + list.map((s, i) => "  " + (i+1) + ". " + s.id + (s.name ? " '" + s.name + "'" : "") + " " +
+      (unsent.includes(s) ? "waiting to be sent" : "recording") + (s.chunk ? ", chunk " + s.chunk.seq : "") + ", " + (s.table ? s.table.length : s.rows) + " rows, started " +
+      moment(s.started).format("YYYY-MM-DD HH:mm:ss") + (s.recovered ? ", recovered" : "")).join("\n") : "No sessions.");
+    return;
+  }
+  chosen = n == "all" && cmd == "discard" ? list : [list[Number(n) - 1]];
+  if ((cmd != "discard" && cmd != "send") || chosen[0] == undefined) {
+    util.showMsg("info", "Usage: .sessions [discard <n>|all | send <n>], where n is the number in the list of '.sessions'");
+    return;
+  }
+  for (const s of chosen) {
+    if (cmd == "send") {
+      if (unsent.includes(s) && !comm.connected()) util.showMsg("info", "Backend is not connected. The session is sent when it is.");
+      else if (unsent.includes(s)) flush();
+      else if (s.rowsBefore + s.table.length == 0) util.showMsg("info", "The session is empty.");
+      else end(s.id, s.name);
+    } else {
+      if (unsent.includes(s)) unsent.splice(unsent.indexOf(s), 1);
+      else delete active[key(s.id, s.name)];
+      remove(s);
+    }
+  }
+  if (cmd == "discard") util.showMsg("info", chosen.length + " sessions discarded.");
+}
@@ -0,0 +1,192 @@
+/**
+ * @file simTag.js
+ * @brief Simulated SensorTag / ServerTag used by the virtual 'sim://' port
+ * @author Vili Pelttari
+ *
+ * The simulated tag answers the challenge and the heartbeat like the ServerTag firmware, replies
+ * 'ACK:<seq>' to messages in the acknowledged mode, and sends the messages of a script file to the
+ * interface. In server mode the messages are sent from the simulated tag's address after the
+ * challenge has been answered. Otherwise 'id:XXXX,' is prepended to them like a SensorTag would do.
+ *
+ * Script file format, one instruction per line. Empty lines and lines starting with '#' are skipped:
+ *    <delay> <message>    Send message <delay> milliseconds after the previous instruction
+ *    on <text> <message>  Reply with message whenever a received UART message contains text
+ *    loop                 Start again from the first line
+ * Messages can contain bytes as '\xNN' escapes, and a backslash as '\\'.
+ */
+const fs = require("fs");
+const interface = require("../config");
+const util = require("./util");
+
+module.exports = {
+  create: create,
+  loadScript: loadScript
+};
+
+/**
+ * @brief Create a simulated tag for a virtual port
+ * @param id SensorTag ID of the simulated tag as hex digits. Defaults to interface.sim.id
+ * @param steps Steps to run instead of the script file. Besides the script steps, a step can be
+ *          -{delay, frame}: Send the Buffer frame as it is, for example a recorded one
+ *          -{delay, note}:  Show the note in the console
+ * @param title Text shown when the tag starts
+ * @return Device object for transport.virtualPort
+ */
+function create(id, steps, title) {
+  let sim = {
+    id: util.normalizeId(id || interface.sim.id),
+    steps: [],
+    rules: [],
+    step: 0,
+    timer: null,
+    push: null
+  };
+  if (!/^[0-9a-f]{4}$/.test(sim.id)) {
+    util.showMsg("error", "Simulated SensorTag ID has to be 4 hex digits: " + sim.id + ". Using " + interface.sim.id + ".");
+    sim.id = interface.sim.id;
+  }
+  if (steps) sim.steps = steps;
+  else if (interface.sim.script) [sim.steps, sim.rules] = loadScript(interface.sim.script);
+  if (!title) title = "Simulated " + (interface.isServer ? "ServerTag" : "SensorTag") + " with ID " + sim.id + " started.";
+
+  return {
+    start: push => {
+      sim.push = push;
+      util.showMsg("info", title);
+      if (!interface.isServer) runScript(sim); // the ServerTag starts after the challenge
+    },
+    stop: () => {
+      clearTimeout(sim.timer);
+      sim.push = null;
+    },
+    receive: (chunk, done) => {
+      receive(sim, chunk);
+      done();
+    }
+  };
+}
+
+/**
+ * @brief Read a simulation script
+ * @param file Path to the script file
+ * @return Array of the timed steps and the reply rules. Both are empty if the file can't be read
+ */
+function loadScript(file) {
+  let steps = [], rules = [], lines, match;
+  try {
+    lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  } catch(e) {
+    util.showMsg("error", "Could not read simulation script: " + e.message);
+    return [steps, rules];
+  }
+  lines.forEach((line, i) => {
+    line = line.trim();
+    if (line == "" || line[0] == "#") return;
+    if (line == "loop") {
+      if (steps.length) steps.push({loop: true}); // a loop without messages would never wait
+    } else if (match = line.match(/^on\s+(\S+)\s+(.+)$/)) {
+      rules.push({text: unescape(match[1]), msg: unescape(match[2])});
+    } else if (match = line.match(/^(\d+)\s+(.+)$/)) {
+      steps.push({delay: Number(match[1]), msg: unescape(match[2])});
+    } else {
+      util.showMsg("error", "Simulation script " + file + ":" + (i+1) + ": Could not interpret '" + line + "'");
+    }
+  });
+  return [steps, rules];
+}
+
+/**
+ * @brief Replace '\xNN' and '\\' escapes in a script message
+ * @param str Message from the script
+ * @return The message with the escapes replaced by the corresponding characters
+ */
+function unescape(str) {
+  return str.replace(/\\(x[0-9a-f]{2}|\\)/gi, (m, c) => c == "\\" ? "\\" : String.fromCharCode(Number.parseInt(c.substr(1), 16)));
+}
+
+/**
+ * @brief Run the script steps one after another until the end or until the port closes
+ * @param sim The simulated tag
+ */
+function runScript(sim) {
+  if (sim.step >= sim.steps.length) return;
+  let step = sim.steps[sim.step++];
+  if (step.loop) {
+    sim.step = 0;
+    step = sim.steps[sim.step++];
+  }
+  sim.timer = setTimeout(() => {
+    if (step.frame) pushFrame(sim, step.frame, false);
+    else if (step.note) util.showMsg("info", step.note);
+    else send(sim, step.msg);
+    runScript(sim);
+  }, step.delay);
+}
+
+/**
+ * @brief Send a message from the simulated tag to the interface, framed like the real tags do
+ * @param sim The simulated tag
+ * @param str Message text. Bytes are taken from the character codes
+ */
+function send(sim, str) {
+  let body;
+  if (interface.isServer) {
+    body = Buffer.concat([Buffer.from([Number.parseInt(sim.id.substr(2), 16), Number.parseInt(sim.id.substr(0, 2), 16)]), Buffer.from(str, "binary")]);
+  } else {
+    body = Buffer.from(str.startsWith("id:") ? str : "id:" + sim.id + "," + str, "binary");
+  }
+  pushFrame(sim, body);
+}
+
+/**
+ * @brief Push a frame to the interface, ended the way the configured UART parser expects
+ * @param sim The simulated tag
+ * @param body Buffer with the frame contents
+ * @param encode False if the frame is already escape encoded in server mode
+ */
+function pushFrame(sim, body, encode=true) {
+  if (!sim.push) return;
+  if (interface.isServer && encode) body = util.encodeEscapedBuffer(body); // the ServerTag escapes its frames
+  if (interface.uart.pipe == "length") {
+    let frame = Buffer.alloc(interface.uart.rxlength);
+    body.copy(frame, 0, 0, interface.uart.rxlength);
+    sim.push(frame);
+  } else {
+    sim.push(Buffer.concat([body, Buffer.from(interface.uart.delim)]));
+  }
+}
+
+/**
+ * @brief Handle a UART message written to the simulated tag
+ * @param sim The simulated tag
+ * @param chunk Buffer written by the interface
+ *
+ * Internal messages ('\x00\x00\x01' prefix) are answered like the ServerTag does: 'Identify' with a
+ * challenge response and 'HB' with a heartbeat.
+ */
+function receive(sim, chunk) {
+  let msg, addr = sim.id;
+  if (interface.isServer) chunk = util.decodeEscapedBuffer(chunk);
+  if (chunk[0] == 0 && chunk[1] == 0 && chunk[2] == 1) {
+    msg = chunk.slice(3).toString("binary").replace(/\0.*$/s, '');
+    if (msg == "Identify") {
+      pushFrame(sim, Buffer.concat([Buffer.from([0xfe, 0xfe, 1]), Buffer.from("SimTag " + sim.id)]));
+      if (sim.step == 0) sim.timer = setTimeout(() => runScript(sim), 100);
+    } else if (msg == "HB") pushFrame(sim, Buffer.from([0xfe, 0xfe, 1, 0x48, 0x42])); // "HB"
+    return;
+  }
+  if (interface.isServer) {
+    addr = ("0000" + chunk.readUInt16LE().toString(16)).slice(-4);
+    msg = chunk.slice(2).toString("binary").replace(/\0.*$/s, '');
+  } else {
+    msg = chunk.toString("binary").replace(/\0.*$/s, '');
+  }
+  if (interface.debugMode) util.showMsg("debug", "SimTag " + sim.id + " received '" + msg + "' to 0x" + addr);
+  if (addr != sim.id && addr != "ffff") return;
+  if (interface.uart.ack && /^#\d+,/.test(msg) && Math.random() >= interface.sim.ackLoss) {
+    send(sim, "ACK:" + msg.match(/^#(\d+),/)[1]);
+  }
+  for (const rule of sim.rules) {
+    if (msg.includes(rule.text)) setTimeout(() => send(sim, rule.msg), 10);
+  }
+}
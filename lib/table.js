@@ -0,0 +1,136 @@
+/**
+ * @file table.js
+ * @brief Columnar storage of the sensor data rows of a session
+ * @author Vili Pelttari
+ *
+ * The values of each column are stored in a Float64Array that is allocated when the first value
+ * arrives and grows by doubling, with a bitmap of the rows that have a value. A row then takes
+ * 8 bytes and 1 bit for each column in use, and nothing for the columns a session doesn't use.
+ * A column that gets a value which is not a number, like from a "string" field, is moved to a
+ * plain array, estimated at 16 bytes a value. The memory used is counted with bytes().
+ */
+
+const INITIAL_ROWS = 64;
+const PLAIN_VALUE_BYTES = 16;
+
+module.exports = {
+  make: make,
+  add: add,
+  cost: cost,
+  bytes: bytes,
+  toColumns: toColumns
+};
+
+/**
+ * @brief Create an empty table
+ * @param columns Names of the columns
+ * @return The table: {columns, length, capacity, values, present}
+ */
+function make(columns) {
+  return {
+    columns: columns,
+    length: 0,                 // number of rows
+    capacity: 0,               // number of rows the allocated columns have room for
+    values: {},                // Float64Array or Array of the values by column name
+    present: {}                // Uint8Array bitmap of the rows with a value by column name
+  };
+}
+
+/**
+ * @brief Add a row to a table
+ * @param t The table
+ * @param row The values by column name. Missing, null and unknown columns are left empty
+ */
+function add(t, row) {
+  let i = t.length, value;
+  if (i == t.capacity) grow(t, Math.max(INITIAL_ROWS, t.capacity * 2));
+  for (const label of t.columns) {
+    value = row[label];
+    if (value == null) continue;
+    if (!(label in t.values)) allocate(t, label);
+    if (typeof value != "number" && !Array.isArray(t.values[label])) t.values[label] = Array.from(t.values[label]);
+    t.values[label][i] = value;
+    t.present[label][i >> 3] |= 1 << (i & 7);
+  }
+  t.length++;
+}
+
+/**
+ * @brief Count the bytes that adding a row would allocate
+ * @param t The table
+ * @param row The values by column name
+ * @return Number of bytes
+ */
+function cost(t, row) {
+  let used = t.columns.filter(label => label in t.values || row[label] != null);
+  let capacity = t.length == t.capacity ? Math.max(INITIAL_ROWS, t.capacity * 2) : t.capacity;
+  return used.reduce((sum, label) => sum + columnBytes(t, label, capacity), 0) - bytes(t);
+}
+
+/**
+ * @brief Count the bytes allocated for a table
+ * @param t The table
+ * @return Number of bytes
+ */
+function bytes(t) {
+  return Object.keys(t.values).reduce((sum, label) => sum + columnBytes(t, label, t.capacity), 0);
+}
+
+/**
+ * @brief Read the columns of a table into arrays, like the sensordata messages have them
+ * @param t The table
+ * @return {<column>: [values]} for every column, with null for the rows without a value
+ */
+function toColumns(t) {
+  let columns = {}, values, present;
+  for (const label of t.columns) {
+    values = t.values[label];
+    present = t.present[label];
+    columns[label] = new Array(t.length);
+    for (let i = 0; i < t.length; i++)
+      columns[label][i] = present && present[i >> 3] & (1 << (i & 7)) ? values[i] : null;
+  }
+  return columns;
+}
+
+/**
+ * @brief Count the bytes of a column at a capacity
+ * @param t The table
+ * @param label Name of the column
+ * @param capacity Number of rows
+ * @return Number of bytes
+ */
+function columnBytes(t, label, capacity) {
+  let perValue = Array.isArray(t.values[label]) ? PLAIN_VALUE_BYTES : Float64Array.BYTES_PER_ELEMENT;
+  return capacity * perValue + Math.ceil(capacity / 8);
+}
+
+/**
+ * @brief Allocate an empty column
+ * @param t The table
+ * @param label Name of the column
+ */
+function allocate(t, label) {
+  t.values[label] = new Float64Array(t.capacity);
+  t.present[label] = new Uint8Array(Math.ceil(t.capacity / 8));
+}
+
+/**
+ * @brief Make room for more rows in the allocated columns
+ * @param t The table
+ * @param capacity The new number of rows
+ */
+function grow(t, capacity) {
+  let values, present;
+  for (const label in t.values) {
+    if (!Array.isArray(t.values[label])) {
+      values = new Float64Array(capacity);
+      values.set(t.values[label]);
+      t.values[label] = values;
+    }
+    present = new Uint8Array(Math.ceil(capacity / 8));
+    present.set(t.present[label]);
+    t.present[label] = present;
+  }
+  t.capacity = capacity;
+}
@@ -0,0 +1,148 @@
+/**
+ * @file transport.js
+ * @brief Port transports for the interface: real serial ports and virtual ports
+ * @author Vili Pelttari
+ *
+ * Every transport returns an object that behaves like a SerialPort from the serialport package:
+ * it is a stream that can be piped to the UART parsers, it emits 'open' and 'close', and it has
+ * write(buffer, cb), close(cb) and isOpen. The rest of the interface does not need to know which
+ * transport is in use.
+ */
+const SerialPort = require("serialport");
+const { Duplex } = require("stream");
+const net = require("net");
+const simTag = require("./simTag");
+const capture = require("./capture");
+const interface = require("../config");
+
+module.exports = {
+  open: open,
+  isVirtual: isVirtual,
+  virtualPort: virtualPort
+};
+
+/**
+ * @brief Open a port using the transport chosen by the path
+ * @param path A serial device path, or a port URL like 'sim://0123', 'tcp://host:port' or
+ * 'replay://capture.jsonl'
+ * @param options Options for the port. 'baudRate' is used by real serial ports
+ * @param cb Callback called with null when the port opened, or with an Error on failure
+ * @return The port object
+ */
+function open(path, options, cb) {
+  if (path.startsWith("sim://")) {
+    return virtualPort(path, simTag.create(path.substr(6)), cb);
+  }
+  if (path.startsWith("tcp://")) {
+    let url = path.match(/^tcp:\/\/\[?([^\[\]]+?)\]?:(\d+)\/?$/); // IPv6 addresses in brackets
+    if (!url) {
+      return virtualPort(path, {open: done => process.nextTick(done, new Error("TCP port has to be given as tcp://host:port"))}, cb);
+    }
+    return virtualPort(path, tcpDevice(url[1], Number(url[2])), cb);
+  }
+  if (path.startsWith("replay://")) {
+    let file = path.substr(9);
+    return virtualPort(path, simTag.create(undefined, capture.loadReplay(file, interface.capture.replaySpeed), "Replaying " + file + "."), cb);
+  }
+  return new SerialPort(path, options, cb);
+}
+
+/**
+ * @brief Check if the path refers to a virtual port instead of a serial device
+ * @param path Port path
+ * @return True if the path has a virtual transport scheme
+ */
+function isVirtual(path) {
+  return /^[a-z]+:\/\//.test(path);
+}
+
+/**
+ * @brief Create a SerialPort-like stream that is connected to a device implemented in JavaScript
+ * @param path The path shown for this port
+ * @param device The device at the other end of the port. An object with functions
+ *          -open(done):        Optional. Called first, and the port opens after done(null).
+ *                              done(err) reports an error to cb instead
+ *          -start(push, lost): Called when the port opens. push(Buffer) sends bytes to the
+ *                              interface, and lost(err) closes the port from the device's end
+ *          -receive(Buffer, done): Called with each buffer written to the port by the interface.
+ *                              done() has to be called when the device can take more data
+ *          -stop():            Called when the port closes
+ * @param cb Callback called with null after the port has opened, or with an Error on failure
+ * @return The port object
+ */
+function virtualPort(path, device, cb) {
+  let port = new Duplex({
+    read() {},
+    write(chunk, encoding, done) {
+      if (port.isOpen) device.receive(chunk, done);
+      else done(); // a closed port drops the data like an unplugged cable
+    }
+  });
+  port.path = path;
+  port.isOpen = false;
+
+  let close = (err) => {
+    port.isOpen = false;
+    device.stop();
+    port.emit("close", err);
+  };
+  port.close = (closeCb) => {
+    if (!port.isOpen) {
+      if (closeCb) closeCb(new Error("Port is not open"));
+      return;
+    }
+    if (closeCb) closeCb(null);
+    close(null);
+  };
+
+  let open = (err) => {
+    if (err) {
+      if (cb) cb(err);
+      return;
+    }
+    port.isOpen = true;
+    if (cb) cb(null);
+    port.emit("open");
+    device.start(buf => { if (port.isOpen) port.push(buf); }, err => { if (port.isOpen) close(err); });
+  };
+  if (device.open) device.open(open);
+  else process.nextTick(open);
+  return port;
+}
+
+/**
+ * @brief Create a device for a serial port shared over a raw TCP socket, like ser2net does
+ * @param host Host name or address
+ * @param tcpPort TCP port number
+ * @return Device object for virtualPort
+ *
+ * The baud rate is set at the serial port's end, as a raw socket only carries the data.
+ */
+function tcpDevice(host, tcpPort) {
+  let socket;
+  return {
+    open: done => {
+      socket = net.connect({host: host, port: tcpPort});
+      socket.once("connect", () => {
+        socket.removeAllListeners("error");
+        socket.setNoDelay(true); // the messages are short and sent one at a time
+        done(null);
+      });
+      socket.once("error", done);
+    },
+    start: (push, lost) => {
+      socket.on("data", push);
+      socket.on("error", () => {}); // reported by 'close'
+      socket.on("close", hadError => {
+        let err = new Error("Connection to " + host + ":" + tcpPort + " closed" + (hadError ? " with an error" : ""));
+        err.disconnected = true;
+        lost(err);
+      });
+    },
+    receive: (chunk, done) => socket.write(chunk, () => done()),
+    stop: () => {
+      socket.removeAllListeners("close");
+      socket.destroy();
+    }
+  };
+}
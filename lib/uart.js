@@ -1,96 +1,286 @@
 const interface = require("../config");
-const Fifo = require("queue-fifo");
 const portFinder = require("./portFinder");
 const util = require("./util");
+const capture = require("./capture");
 let uart = {};
-uart.responded = false; // communicate if the challenge-response has been cleared
-let uartSenderService;
-let uartSendBuffer = new Fifo(); // space out outgoing UART messages in time
+const priorities = {high: 0, normal: 1, low: 2}; // indices of the send queues of a port
 
 /**
- * @brief Send messages TXLENGTH bytes long from the UART send queue with time in between
+ * @brief Send the next message TXLENGTH bytes long from the UART send queues of a port, if the
+ * port is free
+ * @param conn The port connection, see main() in interface.js
  *
- * Monitors the UART send message queue and send messages from it with enough time in between
- * for the ServerTag to execute them properly.
+ * After each message, the port is kept busy for the time it takes to transmit the message at the
+ * configured baud rate, and the time interface.uart.txGap for the ServerTag to execute it. If the
+ * port reports backpressure, the next message waits until the port has drained.
  */
-uartSender = uart.uartSender = () => {
-  if (uartSendBuffer.isEmpty() || !interface.port) {
-    return;
-  }
-  var [txBuf, publish] = uartSendBuffer.dequeue(), msg, addr;
+uartSender = uart.uartSender = (conn) => {
+  if (conn.txBusy || !conn.port || !conn.port.isOpen || queueSize(conn) == 0) return;
+  sendFrom(conn);
+}
+
+/**
+ * @brief Send the next message in the send queues of a port, higher priorities first
+ * @param conn The port connection
+ */
+function sendFrom(conn) {
+  var entry = conn.sendBuffer.find(q => !q.isEmpty()).dequeue(), [txBuf, publish, seq] = entry, msg, addr, via = "", sent = "Sent", plain, drained, pending;
   if (interface.isServer) {
-    msg = txBuf.subarray(2).toString().replace(/\0/g, '');
-    addr = ("0000" + txBuf.readUInt16LE().toString(16)).slice(-4);
+    plain = util.decodeEscapedBuffer(txBuf);
+    msg = plain.subarray(2).toString().replace(/\0/g, '');
+    addr = ("0000" + plain.readUInt16LE().toString(16)).slice(-4);
   } else {
     msg = txBuf.toString().replace(/\0/g, '');
     addr = "";
   }
-  interface.port.write(txBuf, function(err) {
+  if (interface.gateway) via = " via " + conn.path;
+  if (seq) { // before writing, as the ACK can arrive before the write callback
+    pending = track(conn, entry);
+    if (pending.tries > 1) sent = "Resent (try " + pending.tries + ")";
+  }
+  conn.txBusy = true;
+  drained = conn.port.write(txBuf, function(err) {
     if (err) {
       util.showMsg("error", "UART write error: " + err.message);
       // prevent spam by discarding the message
-    } else if (!interface.isServer) {
-      util.showMsg("info", "Sent '" + msg + "' to connected SensorTag.");
-    } else if (publish && interface.port.isOpen) {
-      util.showMsg("info", "Sent '" + msg + "' to 0x" + addr);
+      if (seq) forget(conn, entry);
+      return;
+    }
+    capture.record("tx", conn, txBuf);
+    if (seq) awaitAck(conn, pending, msg);
+    if (!interface.isServer) {
+      util.showMsg("info", sent + " '" + msg + "' to connected SensorTag" + via + ".");
+    } else if (publish && conn.port.isOpen) {
+      util.showMsg("info", sent + " '" + msg + "' to 0x" + addr + via);
     } else if (publish) {
       util.showMsg("error", "Sending aborted. SensorTag isn't connected.");
     }
   });
+  let wait = () => setTimeout(() => {
+    conn.txBusy = false;
+    uartSender(conn);
+  }, txBuf.length*10*1000/interface.uart.baudRate + interface.uart.txGap); // 10 bits per byte on the line
+  if (drained) wait();
+  else conn.port.once("drain", wait);
+}
+
+/**
+ * @brief Add a message to the send queue of a port. If the queue is full, a message is dropped
+ * according to interface.uart.dropPolicy
+ * @param conn The port connection
+ * @param entry The send queue entry: [txBuf, publish, seq, priority]
+ */
+function enqueue(conn, entry) {
+  let prio = entry[3], victim;
+  if (queueSize(conn) >= interface.uart.maxQueue) {
+    // the oldest message of the lowest priority that isn't higher than the new message's
+    victim = conn.sendBuffer.slice(prio).reverse().find(q => !q.isEmpty());
+    conn.drops++;
+    if (interface.uart.dropPolicy == "newest" || victim == undefined) {
+      forget(conn, entry); // a dropped retransmission is not waited for anymore
+      if (interface.debugMode) util.showMsg("debug", "UART send queue of " + conn.path + " is full. Dropped the new message (" + conn.drops + " dropped).");
+      return;
+    }
+    forget(conn, victim.dequeue());
+    if (interface.debugMode) util.showMsg("debug", "UART send queue of " + conn.path + " is full. Dropped the oldest message (" + conn.drops + " dropped).");
+  }
+  conn.sendBuffer[prio].enqueue(entry);
+  if (interface.debugMode) util.showMsg("debug", "UART send queue of " + conn.path + ": " + queueSize(conn) + " messages.");
+  uartSender(conn);
 }
-uartSenderService = setInterval(uartSender, 50);
 
 /**
- * @brief Send an UART message. The message will be formed with the address, and added to a message
- * queue from which it will be sent by the uartSenderService
+ * @brief Count the messages waiting in the send queues of a port
+ * @param conn The port connection
+ * @return Number of queued messages
+ */
+queueSize = uart.queueSize = (conn) => {
+  return conn.sendBuffer.reduce((n, q) => n + q.size(), 0);
+}
+
+/**
+ * @brief Count a try of sending a message that waits for an ACK
+ * @param conn The port connection the message is sent to
+ * @param entry The send queue entry of the message: [txBuf, publish, seq, priority]
+ * @return The pending ACK of the message: {entry, tries, timer}. A new one if the sequence number
+ * was waited for by an older message
+ */
+function track(conn, entry) {
+  let seq = entry[2], pending = conn.pending[seq];
+  if (!pending || pending.entry !== entry) {
+    if (pending) clearTimeout(pending.timer);
+    pending = conn.pending[seq] = {entry: entry, tries: 0, timer: undefined};
+  }
+  pending.tries++;
+  return pending;
+}
+
+/**
+ * @brief Stop waiting for the ACK of a message, for example when it is dropped from the queue
+ * @param conn The port connection
+ * @param entry The send queue entry of the message. Entries without a sequence number are ignored
+ */
+function forget(conn, entry) {
+  let pending = entry && entry[2] ? conn.pending[entry[2]] : undefined;
+  if (!pending || pending.entry !== entry) return;
+  clearTimeout(pending.timer);
+  delete conn.pending[entry[2]];
+}
+
+/**
+ * @brief Start waiting for the ACK of a sent message. The message is sent again if the ACK doesn't
+ * arrive in time, with the waiting time doubling after each try
+ * @param conn The port connection the message was sent to
+ * @param pending The pending ACK of the message, see track()
+ * @param msg The message text for console output
+ */
+function awaitAck(conn, pending, msg) {
+  let entry = pending.entry, seq = entry[2];
+  if (conn.pending[seq] !== pending) return; // acknowledged before the write completed
+  pending.timer = setTimeout(() => {
+    if (conn.pending[seq] !== pending) return; // acknowledged meanwhile
+    if (pending.tries > interface.uart.ackRetries) {
+      delete conn.pending[seq];
+      util.showMsg("error", "Error: No ACK for '" + msg + "' after " + pending.tries + " tries. The message was lost.");
+      return;
+    }
+    enqueue(conn, entry); // retransmit
+  }, interface.uart.ackTimeout * 2**(pending.tries-1));
+}
+
+/**
+ * @brief Mark a message as delivered, so it won't be sent again
+ * @param conn The port connection the ACK was received from. Undefined searches all ports
+ * @param seq The sequence number in the ACK
+ */
+acknowledge = uart.acknowledge = (conn, seq) => {
+  let conns = conn ? [conn] : Object.values(interface.connections);
+  for (const c of conns) {
+    if (!(seq in c.pending)) continue;
+    clearTimeout(c.pending[seq].timer);
+    delete c.pending[seq];
+    if (interface.debugMode) util.showMsg("debug", "ACK for message " + seq + " received.");
+    return;
+  }
+  if (interface.debugMode) util.showMsg("debug", "ACK for unknown message " + seq + ".");
+}
+
+/**
+ * @brief Stop waiting for the ACKs of a port, for example when it closes
+ * @param conn The port connection
+ */
+clearPending = uart.clearPending = (conn) => {
+  for (const pending of Object.values(conn.pending)) clearTimeout(pending.timer);
+  conn.pending = {};
+}
+
+/**
+ * @brief Find the ports a message should be sent to
+ * @param msg The message given to uartWrite
+ * @return Array of port connections. The port of the SensorTag that last talked with the ID of the
+ * message if it is known, otherwise all open ports
+ */
+route = uart.route = (msg) => {
+  let id = msg.id || msg.addr, conns = Object.values(interface.connections), last;
+  if (msg.path) return conns.filter(c => c.path == msg.path);
+  if (id && id != "ffff") {
+    id = util.normalizeId(id);
+    last = Object.entries(interface.connectedAddresses).find(([k, v]) => util.normalizeId(k) == id);
+    if (last && last[1].path in interface.connections) return [interface.connections[last[1].path]];
+  }
+  return conns;
+}
+
+/**
+ * @brief Send an UART message. The message will be formed with the address, and added to the
+ * message queue of the port it is routed to, from which it will be sent by the uartSenderService
  * @param msg Dictionary describing what to send. 'str' is a necessary field. If 'addr' is
  *        specified, ServerTag will send an 6LoWPAN message to the provided address. If 'internal'
  *        is given, raw text will be sent.
  *          -str:      Message text (converted to ascii in this function, to prevent buffer problems)
  *          -addr:     Receiver address as a string of four hex characters ('ffff' is broadcast)
  *          -internal: Set if raw text has to be sent over UART
+ *          -id:       SensorTag ID used for choosing the port, if it differs from 'addr'
+ *          -path:     Send to the port at this path, regardless of the IDs
+ *          -priority: 'high', 'normal' or 'low'. Messages with higher priority are sent first.
+ *                     Defaults to 'normal', and 'high' for messages that aren't published
+ * @param publish False for the interface's own messages, like the challenge and the heartbeat.
+ *        These are not shown in the console, and not acknowledged in the acknowledged mode
+ *
+ * In the acknowledged mode, published messages start with '#<seq>,' where seq is a sequence
+ * number from 1 to 255, separate for each port. The receiver replies with 'ACK:<seq>'.
  */
 uartWrite = uart.uartWrite = (msg, publish=true) => {
-  let txBuf = Buffer.alloc(interface.uart.txlength), addr = "ffff";
   if (interface.debugMode) util.showMsg("info", "Added to UART send queue: 0x" + msg.addr + ":'" + msg.str + "'");
-  if (interface.isServer && !("internal" in msg)) {
-    if ("addr" in msg && msg.addr != null)
-      addr = msg.addr;
-    txBuf.writeUInt16LE(Number.parseInt(addr, 16));
-    txBuf.asciiWrite(msg.str.substr(0, interface.uart.txlength-3), 2); // always ends in \0
+  // Add to FIFO send queue
+  let conns = route(msg), seq, prio = priorities[msg.priority || (publish ? "normal" : "high")];
+  if (conns.length == 0 && publish) util.showMsg("error", "Sending aborted. SensorTag isn't connected.");
+  for (const conn of conns) {
+    if (interface.uart.ack && publish) {
+      seq = conn.seq = conn.seq % 255 + 1;
+      enqueue(conn, [makeFrame(msg, "#" + seq + ","), publish, seq, prio]);
+    } else {
+      enqueue(conn, [makeFrame(msg, ""), publish, undefined, prio]);
+    }
+  }
+}
+
+/**
+ * @brief Form the TXLENGTH bytes long UART frame of a message
+ * @param msg The message given to uartWrite
+ * @param prefix Text added before the message text
+ * @return Buffer with the frame, always ending in \0
+ */
+function makeFrame(msg, prefix) {
+  let txBuf = Buffer.alloc(interface.uart.txlength), addr = "ffff", str = prefix + msg.str, raw;
+  if (interface.isServer) {
+    // The ServerTag frames are escape encoded, so that the address and the text can contain the
+    // end of message character. The encoded frame has to fit with the ending \0
+    if ("internal" in msg) {
+      raw = Buffer.from(str, "ascii");
+    } else {
+      if ("addr" in msg && msg.addr != null)
+        addr = msg.addr;
+      raw = Buffer.alloc(2 + str.length);
+      raw.writeUInt16LE(Number.parseInt(addr, 16));
+      raw.asciiWrite(str, 2);
+    }
+    util.encodeEscapedBuffer(raw, interface.uart.txlength-1).copy(txBuf); // always ends in \0
   } else {
-    txBuf.asciiWrite(msg.str.substr(0, interface.uart.txlength-1)); // always ends in \0
+    txBuf.asciiWrite(str.substr(0, interface.uart.txlength-1)); // always ends in \0
   }
-  // Add to FIFO send queue
-  uartSendBuffer.enqueue([txBuf, publish])
+  return txBuf;
 }
 
 /**
  * @brief Check and send the heartbeat query. Used to check if the ServerTag has crashed
+ * @param conn The port connection of the ServerTag
  */
-heartbeat = uart.heartbeat = () => {
+heartbeat = uart.heartbeat = (conn) => {
   let now = Date.now();
-  if (interface.heartbeatInterval*1.5 < now - uart.hbTime && now - uart.hbTime < interface.heartbeatInterval*2.5) {
-    util.showMsg("error", "Error: Heartbeat: The ServerTag has possibly crashed!");
+  if (interface.heartbeatInterval*1.5 < now - conn.hbTime && now - conn.hbTime < interface.heartbeatInterval*2.5) {
+    util.showMsg("error", "Error: Heartbeat: The ServerTag at " + conn.path + " has possibly crashed!");
   }
-  uartWrite({str: "\x00\x00\x01HB", internal: true}, false);
+  uartWrite({str: "\x00\x00\x01HB", internal: true, path: conn.path}, false);
 }
 
 /**
  * @brief Check the response to the challenge and set the current state as necessary
  * @param data The UART data buffer
+ * @param conn The port connection the data was received from
  * @return Whether or not the response was satisfactory
  */
-parseChallenge = uart.parseChallenge = (data) => {
+parseChallenge = uart.parseChallenge = (data, conn) => {
   let str;
   if (interface.debugMode) {
     util.showMsg("info", "UART:" + JSON.stringify(data.toString().replace(/\x00*$/, '')));
   }
   if (data[0] == data[1] && data[1] == 0xfe && data[2] == 1) {
     str = data.slice(3).toString().replace(/\0*$/g, '');
-    util.showMsg("info", "Challenge response: " + str);
-    portFinder.clearBlacklist();
-    uart.responded = true;
+    util.showMsg("info", "Challenge response" + (interface.gateway ? " from " + conn.path : "") + ": " + str);
+    portFinder.clearBlacklist(conn.path);
+    portFinder.remember(conn.path);
+    conn.responded = true;
   }
   return false;
 }
@@ -98,15 +288,16 @@ parseChallenge = uart.parseChallenge = (data) => {
 /**
  * @brief Send a challenge to the newly connected ServerTag and start a timeout for the function
  *        that will disconnect it if it didn't respond correctly
+ * @param conn The port connection of the ServerTag
  */
-sendChallenge = uart.sendChallenge = () => {
-  uartWrite({str: "\x00\x00\x01Identify", internal: true}, false);
-  uart.responded = false;
+sendChallenge = uart.sendChallenge = (conn) => {
+  conn.responded = false; // before writing, as the response can arrive right away
+  uartWrite({str: "\x00\x00\x01Identify", internal: true, path: conn.path}, false);
   setTimeout(function() { // wait the grace period and check 'responded' after that
-    if (!uart.responded) {
-      util.showMsg("info", "No response to challenge. Disconnecting.");
-      portFinder.nextPort();
-      interface.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}}); // activates port.on('close')
+    if (!conn.responded && conn.port.isOpen) {
+      util.showMsg("info", "No response to challenge from " + conn.path + ". Disconnecting.");
+      portFinder.nextPort(conn.path);
+      conn.port.close(err => {if (err) {util.showMsg("error", "Port close error: "+err);}}); // activates port.on('close')
       util.showMsg("info", "\n");
       return;
     }
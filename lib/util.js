@@ -20,8 +20,10 @@ module.exports = {
   showMsg: showMsg,
   closestMatch: closestMatch,
   levenshtein: levenshtein,
+  normalizeId: normalizeId,
   parseArgv: parseArgv,
-  decodeEscapedBuffer: decodeEscapedBuffer
+  decodeEscapedBuffer: decodeEscapedBuffer,
+  encodeEscapedBuffer: encodeEscapedBuffer
 }
 
 
@@ -88,6 +90,15 @@ function levenshtein(str1, str2) {
   return d[m][n];
 }
 
+/**
+ * @brief Pad a SensorTag ID to four lowercase hex digits, so '23' and '0023' are the same ID
+ * @param id SensorTag ID
+ * @return Normalized ID
+ */
+function normalizeId(id) {
+  return ("0000" + id).slice(-4).toLowerCase();
+}
+
 /**
  * @brief Parse vector of command line arguments.
  * @param dict The dictionary 'interface' defined in config.js. CLI options change the config defined
@@ -97,18 +108,30 @@ function parseArgv(dict) {
   let k = 2, t = 0;
   while (k < process.argv.length) {
     switch (process.argv[k]) {
+      case "-a": // acknowledged UART messages
+        dict.uart.ack = true;
+        break;
       case "-b": // baud rate selection
         k++;
         dict.uart.baudRate = parseInt(process.argv[k]);
         break;
+      case "-c": // required checksums
+        dict.uart.requireChecksum = true;
+        break;
       case "-d": // debug mode
         dict.debugMode = true;
         break;
+      case "-e": // error replies
+        dict.uart.errorReplies = true;
+        break;
+      case "-g": // gateway mode
+        dict.gateway = true;
+        break;
       case "-m": // manual port selection
         dict.ports.autofind = false;
         break;
       case "-o": // offline mode
-        dict.offline = true;
+        dict.backend = "none";
         break;
       case "-s": // server usage
         dict.isServer = true;
@@ -116,24 +139,90 @@ function parseArgv(dict) {
         dict.uart.pipe = dict.server.pipe;
         dict.uart.delim = dict.server.delim;
         break;
+      case "--port": // fixed port or serial number, no menu
+        dict.ports.path = argValue(++k);
+        break;
+      case "--backend": // transport to the backend
+        dict.backend = argValue(++k);
+        if (!["socket", "mqtt", "none"].includes(dict.backend)) usage();
+        break;
+      case "--export": // formats of the session files
+        dict.export.formats = argValue(++k).split(",");
+        if (!dict.export.formats.every(format => ["csv", "json"].includes(format))) usage();
+        break;
+      case "--sim-script": // script for the simulated tag
+        dict.sim.script = argValue(++k);
+        break;
+      case "--record": // capture file for UART traffic
+        dict.capture.record = argValue(++k);
+        break;
+      case "--replay": // replay a capture file
+        dict.ports.path = "replay://" + argValue(++k);
+        break;
+      case "--replay-speed":
+        dict.capture.replaySpeed = Number(argValue(++k));
+        if (isNaN(dict.capture.replaySpeed)) usage();
+        break;
       default:
-        console.error("Usage:\n" +
-          "  node interface [-b baudRate] [-d] [-m] [-o] [-s]\n" +
-          "Options:\n" +
-          "      -b baudRate\n" +
-          "           Set UART \033[1mbaudrate\033[0m. Should be one of following:\n" +
-          "             4800, 9600, 19200, 38400, 57600, 76800, 115200.\n" + 
-          "      -d   Use \033[1mdebug\033[0m mode. Shows extra data, and can be used to test messages.\n" +
-          "      -m   Set \033[1mport\033[0m selection to manual. Disables automatic selection.\n" +
-          "      -o   Set interface to \033[1moffline mode\033[0m, and the connection to backend is not established.\n" +
-          "      -s   Use automatic config for \033[1mserver\033[0m usage."
-          );
-        process.exit(1);
+        usage();
     }
     k++;
   }
 }
 
+/**
+ * @brief Print the command line usage and exit
+ */
+function usage() {
+  console.error("Usage:\n" +
+    "  node interface [-a] [-b baudRate] [-c] [-d] [-e] [-g] [-m] [-o] [-s] [--port path|serial]\n" +
+    "                 [--backend socket|mqtt|none] [--export csv|json|csv,json]\n" +
+    "                 [--sim-script file] [--record file] [--replay file [--replay-speed factor]]\n" +
+    "Options:\n" +
+    "      -a   Use \033[1macknowledged\033[0m mode. Messages to SensorTags are sent again until they reply 'ACK'.\n" +
+    "      -b baudRate\n" +
+    "           Set UART \033[1mbaudrate\033[0m. Should be one of following:\n" +
+    "             4800, 9600, 19200, 38400, 57600, 76800, 115200.\n" + 
+    "      -c   Require a \033[1mchecksum\033[0m at the end of every received text message.\n" +
+    "      -d   Use \033[1mdebug\033[0m mode. Shows extra data, and can be used to test messages.\n" +
+    "      -e   Reply \033[1merror\033[0m codes 'ERR:<codes>' to SensorTags that sent invalid messages.\n" +
+    "      -g   Use \033[1mgateway\033[0m mode. Connects to every SensorTag found, not just one.\n" +
+    "      -m   Set \033[1mport\033[0m selection to manual. Disables automatic selection.\n" +
+    "      -o   Set interface to \033[1moffline mode\033[0m, and the connection to backend is not established.\n" +
+    "           The same as '--backend none'.\n" +
+    "      -s   Use automatic config for \033[1mserver\033[0m usage.\n" +
+    "      --port path|serial\n" +
+    "           Connect to the \033[1mport\033[0m at path without searching. 'sim://' connects to a\n" +
+    "           simulated SensorTag, and 'sim://abcd' sets its ID to abcd. 'tcp://host:port' connects\n" +
+    "           to a serial port shared over TCP, for example with ser2net. Any other value is taken\n" +
+    "           as a serial number, and the device with it is connected to whenever it is plugged in.\n" +
+    "      --backend socket|mqtt|none\n" +
+    "           Send the data to the \033[1mbackend\033[0m over socket.io, to the MQTT broker of config.js,\n" +
+    "           or nowhere. socket.io is the default.\n" +
+    "      --export csv|json|csv,json\n" +
+    "           \033[1mExport\033[0m each ended sensor data session to a file in the 'export' directory.\n" +
+    "      --sim-script file\n" +
+    "           Messages the \033[1msimulated\033[0m SensorTag sends. See lib/simTag.js for the format.\n" +
+    "      --record file\n" +
+    "           \033[1mRecord\033[0m all received and sent UART frames to a capture file.\n" +
+    "      --replay file\n" +
+    "           \033[1mReplay\033[0m the received frames of a capture file instead of using a port.\n" +
+    "      --replay-speed factor\n" +
+    "           Replay factor times faster than recorded. 0 replays without waiting."
+    );
+  process.exit(1);
+}
+
+/**
+ * @brief Get the value of a command line option
+ * @param k Index of the value in process.argv
+ * @return The value. Print usage and exit if it is missing
+ */
+function argValue(k) {
+  if (k >= process.argv.length) usage();
+  return process.argv[k];
+}
+
 /**
  * @brief Parse an integer from a string
  * @param str String that supposedly represents a number
@@ -189,3 +278,44 @@ function decodeEscapedBuffer(b) {
   while (escLen-- > 0) resultBuffer[windex++] = ESCAPECHAR;
   return resultBuffer.slice(0, windex); // windex gives the resulting buffer length
 }
+
+/**
+ * @brief Encode a buffer with the escape characters, so that it doesn't contain the end of message
+ * character. This is the inverse of decodeEscapedBuffer
+ * @param b Buffer object to encode
+ * @param maxLength Maximum length of the encoded buffer. Only whole input bytes are encoded, so
+ * the decoded result is a prefix of b if it doesn't fit
+ * @return Buffer object of the encoded bytes
+ *
+ * Using the characters of decodeEscapedBuffer, a run of n escape characters followed by
+ *    '2' is encoded into 2n+1 escape characters and '1'
+ *    '1' is encoded into 2n escape characters and '1'
+ *    any other character is left as it is.
+ */
+function encodeEscapedBuffer(b, maxLength = Infinity) {
+  let escLen = 0, len = 0, windex = 0, need = 0;
+  // Characters:
+  let ESCAPECHAR = 0xf0;
+  let STANDINCHAR = 0xf1;
+  let EOMCHAR = 0xf2;
+
+  let resultBuffer = Buffer.alloc(Math.min(2*b.length + 1, maxLength)); // the worst case length
+
+  for (c of b) {
+    if (c == ESCAPECHAR) {
+      escLen++;
+      continue;
+    }
+    if (c == EOMCHAR) need = 2*escLen + 2;
+    else if (c == STANDINCHAR) need = 2*escLen + 1;
+    else need = escLen + 1;
+    if (windex + need > resultBuffer.length) break;
+    len = need - 1;
+    while (len-- > 0) resultBuffer[windex++] = ESCAPECHAR;
+    resultBuffer[windex++] = (c == EOMCHAR) ? STANDINCHAR : c;
+    escLen = 0;
+  }
+  // Escape characters without a following character are decoded as they are
+  while (escLen-- > 0 && windex < resultBuffer.length) resultBuffer[windex++] = ESCAPECHAR;
+  return resultBuffer.slice(0, windex);
+}
@@ -0,0 +1,118 @@
+/**
+ * @file ack.test.js
+ * @brief Tests of the acknowledged UART mode of uart.js against the simulated SensorTag
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const Fifo = require("queue-fifo");
+const interface = require("../config");
+const transport = require("../lib/transport");
+const uart = require("../lib/uart");
+const util = require("../lib/util");
+
+const path = "sim://0123";
+const saved = {};
+
+test.before(() => {
+  for (const key of ["ack", "ackTimeout", "ackRetries", "baudRate", "txGap"]) saved[key] = interface.uart[key];
+  Object.assign(interface.uart, {ack: true, ackTimeout: 40, ackRetries: 3, baudRate: 1000000, txGap: 0});
+  interface.sim.script = undefined;
+});
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  Object.assign(interface.uart, saved);
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+/**
+ * @brief Open the simulated SensorTag like interface.js does, and read its ACKs
+ * @return Promise of the port connection, with 'writes', the times of the frames written to it
+ */
+function openSim() {
+  let conn = {path: path, sendBuffer: [new Fifo(), new Fifo(), new Fifo()], txBusy: false, drops: 0, seq: 0, pending: {}, writes: []};
+  return new Promise((resolve, reject) => {
+    conn.port = transport.open(path, {}, err => {
+      if (err) return reject(err);
+      let write = conn.port.write.bind(conn.port), received = "";
+      conn.port.write = (...args) => {
+        conn.writes.push(Date.now());
+        return write(...args);
+      };
+      conn.port.on("data", data => { // the messages end in '\0'
+        let messages = (received + data.toString("binary")).split("\0"), match;
+        received = messages.pop();
+        for (const msg of messages)
+          if (match = msg.match(/ACK:(\d+)$/)) uart.acknowledge(conn, Number(match[1]));
+      });
+      interface.connections[path] = conn;
+      resolve(conn);
+    });
+  });
+}
+
+/**
+ * @brief Close the simulated SensorTag
+ * @param conn The port connection
+ */
+function closeSim(conn) {
+  uart.clearPending(conn);
+  delete interface.connections[path];
+  conn.port.close();
+}
+
+/**
+ * @brief Wait
+ * @param ms Milliseconds
+ * @return Promise resolved after the time
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test("an acknowledged message is sent once", async t => {
+  t.mock.method(Math, "random", () => 0.5);
+  interface.sim.ackLoss = 0;
+  const conn = await openSim();
+  try {
+    uart.uartWrite({path: path, str: "pong"});
+    await sleep(interface.uart.ackTimeout * 4);
+    assert.strictEqual(conn.writes.length, 1);
+    assert.deepStrictEqual(conn.pending, {});
+  } finally {
+    closeSim(conn);
+  }
+});
+
+test("a message is sent again until its ACK arrives", async t => {
+  let random = [0.1, 0.1, 0.9]; // the first two ACKs are lost
+  t.mock.method(Math, "random", () => random.shift());
+  interface.sim.ackLoss = 0.5;
+  const conn = await openSim();
+  try {
+    uart.uartWrite({path: path, str: "pong"});
+    await sleep(interface.uart.ackTimeout * (1 + 2 + 4 + 4));
+    assert.strictEqual(conn.writes.length, 3);
+    assert.deepStrictEqual(conn.pending, {});
+  } finally {
+    closeSim(conn);
+  }
+});
+
+test("the wait doubles after each try, and the message is given up after ackRetries", async () => {
+  interface.sim.ackLoss = 1; // no ACKs
+  const conn = await openSim();
+  try {
+    uart.uartWrite({path: path, str: "pong"});
+    await sleep(interface.uart.ackTimeout * (1 + 2 + 4 + 8 + 8));
+    const writes = conn.writes, timeout = interface.uart.ackTimeout;
+    assert.strictEqual(writes.length, 1 + interface.uart.ackRetries);
+    for (let i = 1; i < writes.length; i++)
+      assert.ok(writes[i] - writes[i-1] >= timeout * 2**(i-1) - 5, "try " + (i+1) + " waited " + (writes[i] - writes[i-1]) + " ms");
+    assert.deepStrictEqual(conn.pending, {}, "the lost message is not waited for");
+  } finally {
+    closeSim(conn);
+  }
+});
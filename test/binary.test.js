@@ -0,0 +1,119 @@
+/**
+ * @file binary.test.js
+ * @brief Tests of reading the COBS encoded binary messages of binary.js
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const interface = require("../config");
+const binary = require("../lib/binary");
+const errors = require("../lib/errors");
+const util = require("../lib/util");
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+/**
+ * @brief Encode bytes with Consistent Overhead Byte Stuffing, like a SensorTag does
+ * @param bytes Array of the bytes
+ * @return Array of the encoded bytes, without the zero byte at the end
+ */
+function cobsEncode(bytes) {
+  let out = [0], code = 0; // out[code] is the code byte of the block being written
+  for (const b of bytes) {
+    if (b == 0) {
+      out[code] = out.length - code;
+      code = out.push(0) - 1;
+      continue;
+    }
+    out.push(b);
+    if (out.length - code == 0xff) {
+      out[code] = 0xff;
+      code = out.push(0) - 1;
+    }
+  }
+  out[code] = out.length - code;
+  return out;
+}
+
+/**
+ * @brief Make a binary message received from UART
+ * @param fields Array of the bytes of the fields before encoding
+ * @return Buffer of the marker, the encoded fields and the zero byte at the end
+ */
+function message(fields) {
+  return Buffer.from([0x02].concat(cobsEncode(fields), [0]));
+}
+
+test("the example of the README", () => {
+  const data = Buffer.from([0x02, 0x0a, 0x01, 0x23, 0x01, 0x10, 0x5c, 0x8f, 0xde, 0x41, 0x03, 0x00]);
+  assert.ok(binary.isBinary(data));
+  assert.deepStrictEqual(binary.decode(data), [["id", "0123"], ["temp", "27.82"], ["ping", ""]]);
+  assert.strictEqual(binary.toText(binary.decode(data)), "id:0123,temp:27.82,ping");
+  assert.deepStrictEqual(message([0x01, 0x23, 0x01, 0x10, 0x5c, 0x8f, 0xde, 0x41, 0x03]), data);
+});
+
+test("round trip of values with zero bytes", () => {
+  const text = "a".repeat(200) + "b".repeat(100); // more than a COBS block of 254 bytes
+  let fields = [0x01, 0x00, 0x01, // id 0100
+    0x04, 0x00, // session start
+    0x09, 0x00, 0x03, 0x00, // ACTIVATE 0;3;0
+    0x10, 0x00, 0x00, 0x00, 0x00, // temp 0
+    0x0a, 0x05, 0x48, 0x65, 0x6c, 0x6c, 0x6f, // MSG1 Hello
+    0x0b, 0xff].concat(Array.from(Buffer.from(text.slice(0, 255))));
+  let pairs = binary.decode(message(fields));
+  assert.deepStrictEqual(pairs, [["id", "0100"], ["session", "start"], ["ACTIVATE", "0;3;0"], ["temp", "0"], ["MSG1", "Hello"], ["MSG2", text.slice(0, 255)]]);
+});
+
+test("a zero byte inside a COBS block is error 2", () => {
+  assert.throws(() => binary.decode(Buffer.from([0x02, 0x04, 0x03, 0x00, 0x03, 0x00])), err => {
+    assert.strictEqual(err.code, errors.codes.BINARY);
+    assert.match(err.message, /zero byte at byte 3/);
+    return true;
+  });
+});
+
+test("a COBS block longer than the frame is error 2", () => {
+  assert.throws(() => binary.decode(Buffer.from([0x02, 0x08, 0x01, 0x23, 0x01])), err => {
+    assert.strictEqual(err.code, errors.codes.BINARY);
+    assert.match(err.message, /block at byte 1 is too long/);
+    return true;
+  });
+});
+
+test("a frame that ends in the middle of a value is error 2", () => {
+  assert.throws(() => binary.decode(message([0x01, 0x23, 0x01, 0x10, 0x5c, 0x8f])), err => {
+    assert.strictEqual(err.code, errors.codes.BINARY);
+    assert.strictEqual(err.field, "temp");
+    assert.match(err.message, /ends in the middle of the temp value at byte 5/);
+    return true;
+  });
+  assert.throws(() => binary.decode(message([0x0a, 0x05, 0x48])), {code: errors.codes.BINARY, field: "MSG1"});
+});
+
+test("an unknown binaryId is error 2", () => {
+  assert.ok(!interface.dataTypes.some(type => type.schema.binaryId == 0x7f));
+  assert.throws(() => binary.decode(message([0x01, 0x23, 0x01, 0x7f, 0x01])), err => {
+    assert.strictEqual(err.code, errors.codes.BINARY);
+    assert.match(err.message, /Unknown binary field ID 127 at byte 4/);
+    return true;
+  });
+});
+
+test("an enum index out of range is error 15", () => {
+  assert.throws(() => binary.decode(message([0x01, 0x23, 0x01, 0x04, 0x02])), {code: errors.codes.BAD_VALUE, field: "session"});
+});
+
+test("in server use the id is the address", () => {
+  interface.isServer = true;
+  try {
+    let data = Buffer.concat([Buffer.from([0x23, 0x01]), message([0x03])]);
+    assert.ok(binary.isBinary(data));
+    assert.deepStrictEqual(binary.decode(data), [["id", "0123"], ["ping", ""]]);
+  } finally {
+    interface.isServer = false;
+  }
+});
@@ -0,0 +1,55 @@
+/**
+ * @file calibration.test.js
+ * @brief Tests of the calibrations of calibration.js, saved to a temporary file
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const interface = require("../config");
+const util = require("../lib/util");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "calibration-"));
+interface.calibration.file = path.join(dir, "calibration.json"); // before the calibrations are read
+// calibrations of protocol fields, like ones added to the file by hand
+fs.writeFileSync(interface.calibration.file, JSON.stringify({"0789": {ACK: {offset: 1}, sync: {scale: 2}, time: {offset: 1}, temp: {offset: 1}}}));
+const calibration = require("../lib/calibration");
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+/**
+ * @brief Read the saved calibrations
+ * @return The calibration table, or undefined if it has not been saved
+ */
+function saved() {
+  return fs.existsSync(interface.calibration.file) ? JSON.parse(fs.readFileSync(interface.calibration.file, "utf8")) : undefined;
+}
+
+test("a sensor field is calibrated and saved", () => {
+  calibration.command("123 temp offset -0.5");
+  calibration.command("123 press unit Pa-hPa");
+  let resultDicts = {sensordata: {temperature: 21.5, pressure: 101325}};
+  calibration.apply("0123", resultDicts);
+  assert.deepStrictEqual(resultDicts.sensordata, {temperature: 21, pressure: 1013.25});
+  assert.deepStrictEqual(saved()["0123"], {temp: {offset: -0.5}, press: {unit: "Pa-hPa"}});
+  calibration.command("0123 clear");
+  assert.strictEqual(saved()["0123"], undefined);
+});
+
+test("the time and the protocol fields can't be calibrated", () => {
+  for (const field of ["ACK", "sync", "time", "EAT", "ping", "nope"]) calibration.command("0456 " + field + " offset 1");
+  assert.strictEqual(saved()["0456"], undefined);
+});
+
+test("the calibrations of protocol fields in the file are not applied", () => {
+  let resultDicts = {commands: {ack: 12, sync: 1000}, event: {timeStamp: 5}, sensordata: {timeStamp: 5, temperature: 20}};
+  calibration.apply("0789", resultDicts);
+  assert.deepStrictEqual(resultDicts, {commands: {ack: 12, sync: 1000}, event: {timeStamp: 5}, sensordata: {timeStamp: 5, temperature: 21}});
+});
@@ -0,0 +1,61 @@
+/**
+ * @file checksum.test.js
+ * @brief Tests of the optional and required checksums of checksum.js
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const interface = require("../config");
+const checksum = require("../lib/checksum");
+const errors = require("../lib/errors");
+const util = require("../lib/util");
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+test.afterEach(() => {
+  interface.uart.requireChecksum = false;
+});
+
+/**
+ * @brief Add a checksum to a message
+ * @param text The message
+ * @param crc True for '*XXXX', false for '*XX'
+ * @return The message with the checksum
+ */
+function withChecksum(text, crc) {
+  return text + "*" + (crc ? checksum.crc16(text) : checksum.xor8(text)).toString(16).toUpperCase().padStart(crc ? 4 : 2, "0");
+}
+
+test("the examples of the README", () => {
+  assert.strictEqual(withChecksum("id:0123,EAT:2,ping", false), "id:0123,EAT:2,ping*7F");
+  assert.strictEqual(withChecksum("id:0123,EAT:2,ping", true), "id:0123,EAT:2,ping*002A");
+});
+
+test("a matching checksum is removed without -c", () => {
+  let mismatches = 0;
+  assert.strictEqual(checksum.strip(withChecksum("temp:27.82", false), 0, () => mismatches++), "temp:27.82");
+  assert.strictEqual(checksum.strip(withChecksum("temp:27.82", true), 0, () => mismatches++), "temp:27.82");
+  assert.strictEqual(checksum.strip("temp:27.82", 0, () => mismatches++), "temp:27.82");
+  assert.strictEqual(mismatches, 0);
+});
+
+test("a mismatching ending is counted and kept without -c", () => {
+  let mismatches = 0;
+  assert.strictEqual(checksum.strip("MSG1:2*16", 0, () => mismatches++), "MSG1:2*16");
+  assert.strictEqual(mismatches, 1);
+});
+
+test("the skipped characters are not in the checksum", () => {
+  assert.strictEqual(checksum.strip("id:0123," + withChecksum("ping", false), 8), "id:0123,ping");
+});
+
+test("-c rejects messages without a matching checksum", () => {
+  interface.uart.requireChecksum = true;
+  assert.strictEqual(checksum.strip(withChecksum("temp:27.82", false)), "temp:27.82");
+  assert.throws(() => checksum.strip("temp:27.82"), {code: errors.codes.CHECKSUM});
+  assert.throws(() => checksum.strip("MSG1:2*16"), {code: errors.codes.CHECKSUM});
+});
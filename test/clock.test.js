@@ -0,0 +1,64 @@
+/**
+ * @file clock.test.js
+ * @brief Tests of the clock synchronisation of clock.js, with the SYNC messages caught from uart.js
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const interface = require("../config");
+const uart = require("../lib/uart");
+const clock = require("../lib/clock");
+const util = require("../lib/util");
+
+let sent = []; // messages given to uart.uartWrite
+const uartWrite = uart.uartWrite;
+
+test.before(() => {
+  uart.uartWrite = msg => sent.push(msg);
+});
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  uart.uartWrite = uartWrite;
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+test.beforeEach(() => {
+  sent = [];
+});
+
+test("a sync request is answered with the epoch time", () => {
+  let before = Date.now();
+  clock.receive("1", null, {path: "sim://"});
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].addr, "1");
+  assert.strictEqual(sent[0].path, "sim://");
+  assert.ok(Number(sent[0].str.replace(/^SYNC:/, "")) >= before);
+  assert.strictEqual(clock.isSynced("0001"), false);
+});
+
+test("a sync reply pairs the tick count with the SYNC time", () => {
+  clock.receive("0abc", null);
+  let synced = Number(sent[0].str.replace(/^SYNC:/, ""));
+  clock.receive("ABC", 5000);
+  assert.ok(clock.isSynced("0abc"));
+  // the reply arrives within a few ms, so tick 5000 is about the SYNC time
+  assert.ok(Math.abs(clock.toUtc("abc", 5000) - synced) < 100);
+  assert.strictEqual(clock.toUtc("abc", 6000) - clock.toUtc("abc", 5000), 1000 * interface.sync.tickPeriod);
+});
+
+test("a reply without a SYNC is ignored", () => {
+  clock.receive("0def", 100);
+  assert.strictEqual(clock.isSynced("0def"), false);
+  assert.strictEqual(clock.toUtc("0def", 100), undefined);
+});
+
+test("only the device times outside sensor data are converted", () => {
+  clock.receive("0456", null);
+  clock.receive("0456", 1000);
+  let resultDicts = {event: {timeStamp: 1000}, sensordata: {timeStamp: 1000}};
+  clock.convert("0456", resultDicts);
+  assert.strictEqual(resultDicts.event.timeStamp, clock.toUtc("0456", 1000));
+  assert.strictEqual(resultDicts.sensordata.timeStamp, 1000);
+});
@@ -0,0 +1,67 @@
+/**
+ * @file deviceTracker.test.js
+ * @brief Tests of the polling of the serial device list of deviceTracker.js, with a made up list
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const SerialPort = require("serialport");
+const interface = require("../config");
+const tracker = require("../lib/deviceTracker");
+const util = require("../lib/util");
+
+const saved = {pollInterval: interface.ports.pollInterval, idlePollInterval: interface.ports.idlePollInterval};
+
+test.before(() => {
+  interface.ports.pollInterval = 20;
+  interface.ports.idlePollInterval = 200;
+});
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  tracker.stop();
+  Object.assign(interface.ports, saved);
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+/**
+ * @brief Wait
+ * @param ms Milliseconds
+ * @return Promise resolved after the time
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test("plugged and unplugged devices are found by polling, and the polling slows down when idle", async t => {
+  let devices = [{path: "/dev/ttyACM0"}], polls = 0, events = [], idle = false;
+  t.mock.method(SerialPort, "list", async () => {
+    polls++;
+    return devices;
+  });
+  tracker.on("add", port => events.push("add " + port.path));
+  tracker.on("remove", port => events.push("remove " + port.path));
+  try {
+    tracker.start(() => idle);
+    await sleep(110);
+    assert.deepStrictEqual(events, ["add /dev/ttyACM0"]);
+    assert.ok(polls >= 4, polls + " polls while waiting");
+    devices = [{path: "/dev/ttyACM1"}];
+    await sleep(50);
+    assert.deepStrictEqual(events, ["add /dev/ttyACM0", "add /dev/ttyACM1", "remove /dev/ttyACM0"]);
+
+    idle = true;
+    await sleep(50); // the poll scheduled before going idle
+    polls = 0;
+    await sleep(300);
+    assert.ok(polls <= 2, polls + " polls while idle");
+    devices = [];
+    tracker.wake();
+    await sleep(10);
+    assert.deepStrictEqual(events.slice(3), ["remove /dev/ttyACM1"], "wake reads the list right away");
+  } finally {
+    tracker.stop();
+    tracker.removeAllListeners();
+  }
+});
@@ -0,0 +1,82 @@
+/**
+ * @file escape.test.js
+ * @brief Round trip tests of the escape encoding of the ServerTag frames in util.js
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const util = require("../lib/util");
+
+const ESCAPECHAR = 0xf0, STANDINCHAR = 0xf1, EOMCHAR = 0xf2;
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+/**
+ * @brief Make a pseudo-random buffer that is mostly the special characters of the encoding
+ * @param random Function giving numbers from [0, 1)
+ * @param length Length of the buffer
+ * @return The buffer
+ */
+function specialBuffer(random, length) {
+  const chars = [ESCAPECHAR, STANDINCHAR, EOMCHAR, 0x00, 0x41];
+  return Buffer.from(Array.from({length: length}, () => chars[Math.floor(random() * chars.length)]));
+}
+
+/**
+ * @brief Seeded pseudo-random numbers, so a failing case can be repeated
+ * @param seed The seed
+ * @return Function giving numbers from [0, 1)
+ */
+function prng(seed) {
+  return () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+}
+
+test("the example of decodeEscapedBuffer", () => {
+  const encoded = Buffer.from([0x65, 0x78, ESCAPECHAR, 0x61, 0x6d, STANDINCHAR, 0x70, ESCAPECHAR, ESCAPECHAR, ESCAPECHAR, STANDINCHAR,
+    0x6c, ESCAPECHAR, ESCAPECHAR, STANDINCHAR, 0x65, ESCAPECHAR, STANDINCHAR]);
+  const plain = Buffer.from([0x65, 0x78, ESCAPECHAR, 0x61, 0x6d, STANDINCHAR, 0x70, ESCAPECHAR, EOMCHAR, 0x6c, ESCAPECHAR, STANDINCHAR,
+    0x65, EOMCHAR]);
+  assert.deepStrictEqual(util.encodeEscapedBuffer(plain), encoded);
+  assert.deepStrictEqual(util.decodeEscapedBuffer(encoded), plain);
+});
+
+test("encoding has no end of message characters, and decoding gives the original", () => {
+  const random = prng(1);
+  for (let i = 0; i < 5000; i++) {
+    const plain = specialBuffer(random, Math.floor(random() * 24));
+    const encoded = util.encodeEscapedBuffer(plain);
+    assert.ok(!encoded.includes(EOMCHAR), "EOM in the encoding of " + plain.toString("hex"));
+    assert.deepStrictEqual(util.decodeEscapedBuffer(encoded), plain, "round trip of " + plain.toString("hex"));
+  }
+});
+
+test("a run of escape characters at the end is kept", () => {
+  const plain = Buffer.from([0x41, ESCAPECHAR, ESCAPECHAR]);
+  assert.deepStrictEqual(util.decodeEscapedBuffer(util.encodeEscapedBuffer(plain)), plain);
+});
+
+test("maxLength truncates to the encoding of a prefix", () => {
+  const random = prng(2);
+  for (let i = 0; i < 5000; i++) {
+    const plain = specialBuffer(random, Math.floor(random() * 24));
+    const maxLength = Math.floor(random() * 30);
+    const encoded = util.encodeEscapedBuffer(plain, maxLength);
+    const decoded = util.decodeEscapedBuffer(encoded);
+    assert.ok(encoded.length <= maxLength, "too long encoding of " + plain.toString("hex"));
+    assert.ok(!encoded.includes(EOMCHAR));
+    assert.deepStrictEqual(decoded, plain.subarray(0, decoded.length), "not a prefix of " + plain.toString("hex"));
+    if (util.encodeEscapedBuffer(plain).length <= maxLength) assert.deepStrictEqual(decoded, plain);
+  }
+});
+
+test("maxLength doesn't split the encoding of a character", () => {
+  // [ESCAPE, EOM] encodes into 3 escape characters and the stand-in, which don't fit in 3 bytes.
+  // The escape character that fits is kept, as it decodes as it is
+  const plain = Buffer.from([0x41, ESCAPECHAR, EOMCHAR]);
+  assert.deepStrictEqual(util.encodeEscapedBuffer(plain, 4), Buffer.from([0x41, ESCAPECHAR]));
+  assert.deepStrictEqual(util.encodeEscapedBuffer(plain, 5), Buffer.from([0x41, ESCAPECHAR, ESCAPECHAR, ESCAPECHAR, STANDINCHAR]));
+});
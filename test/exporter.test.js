@@ -0,0 +1,63 @@
+/**
+ * @file exporter.test.js
+ * @brief Tests of the session export files of exporter.js in a temporary directory
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const interface = require("../config");
+const exporter = require("../lib/exporter");
+const util = require("../lib/util");
+
+const started = Date.UTC(2026, 9, 18, 13, 8, 31, 254);
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+test.beforeEach(() => {
+  interface.export.dir = fs.mkdtempSync(path.join(os.tmpdir(), "export-"));
+  interface.export.formats = ["csv", "json"];
+});
+
+test.afterEach(() => {
+  fs.rmSync(interface.export.dir, {recursive: true, force: true});
+});
+
+/**
+ * @brief Read the only export file of a format
+ * @param ext File extension, like ".csv"
+ * @return The lines of the file, without the empty one after the last line break
+ */
+function readExport(ext) {
+  let files = fs.readdirSync(interface.export.dir).filter(file => file.endsWith(ext));
+  assert.strictEqual(files.length, 1);
+  return fs.readFileSync(path.join(interface.export.dir, files[0]), "utf8").split("\n").slice(0, -1);
+}
+
+test("the chunks of a session are appended to the CSV and JSON Lines files", () => {
+  assert.ok(exporter.write("0123", "", started, {timeStamp: [1, 2], temperature: [21.5, null], sensortagID: "0123"}));
+  assert.ok(exporter.write("0123", "", started, {timeStamp: [3], temperature: [22]}, false));
+  assert.deepStrictEqual(readExport(".csv"), ["timeStamp,temperature", "1,21.5", "2,", "3,22"]);
+  assert.deepStrictEqual(readExport(".jsonl").map(line => JSON.parse(line)), [
+    {sensortagID: "0123", sessionTimeStamp: "2026-10-18T13:08:31.254Z", timeStamp: [1, 2], temperature: [21.5, null]},
+    {sensortagID: "0123", sessionTimeStamp: "2026-10-18T13:08:31.254Z", timeStamp: [3], temperature: [22]}
+  ]);
+});
+
+test("a named session has its name in the file name and the JSON", () => {
+  assert.ok(exporter.write("0123", "calib", started, {timeStamp: [1]}));
+  assert.strictEqual(JSON.parse(readExport(".jsonl")[0]).sessionName, "calib");
+  assert.ok(fs.readdirSync(interface.export.dir).every(file => file.startsWith("0123_calib_")));
+});
+
+test("an existing export file is not overwritten", () => {
+  assert.ok(exporter.write("0123", "", started, {timeStamp: [1]}));
+  assert.strictEqual(exporter.write("0123", "", started, {timeStamp: [2]}), false);
+  assert.deepStrictEqual(readExport(".csv"), ["timeStamp", "1"]);
+});
@@ -0,0 +1,119 @@
+/**
+ * @file fields.test.js
+ * @brief Tests of the field schema of fields.js: checking the schema file and the received values
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const interface = require("../config");
+const fields = require("../lib/fields");
+const errors = require("../lib/errors");
+const util = require("../lib/util");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fields-"));
+const topics = ["event", "sensordata"];
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+/**
+ * @brief Load a schema from a temporary file
+ * @param t The test context, for mocking process.exit
+ * @param schema The schema, written as JSON, or a String written as it is
+ * @return The data types, or the error printed for an invalid schema
+ */
+function load(t, schema) {
+  let file = path.join(dir, "fields.json"), printed;
+  fs.writeFileSync(file, typeof schema == "string" ? schema : JSON.stringify(schema));
+  t.mock.method(console, "error", msg => printed = msg);
+  t.mock.method(process, "exit", code => {
+    throw {exitCode: code};
+  });
+  try {
+    return fields.loadFields(file, topics);
+  } catch(e) {
+    assert.strictEqual(e.exitCode, 1);
+    return printed;
+  }
+}
+
+/**
+ * @brief Parse a value of a field
+ * @param dataTypes The data types
+ * @param name shortName of the field
+ * @param value The value text
+ * @return Promise of the parsed value, rejected with the error
+ */
+function parse(dataTypes, name, value) {
+  return dataTypes.find(type => type.shortName == name).fun(value);
+}
+
+test("the fields.json of the repository is valid", () => {
+  assert.ok(interface.dataTypes.length > 0);
+  assert.ok(interface.dataTypes.some(type => type.shortName == "temp"));
+});
+
+test("an invalid schema is rejected with the reason", t => {
+  const field = {shortName: "temp", nameInDB: "temperature", topics: ["sensordata"], type: "number"};
+  const cases = [
+    ["{not json", /Invalid field schema .*fields\.json: /],
+    [{shortName: "temp"}, /has to be an array of fields/],
+    [[Object.assign({}, field, {shortName: ""})], /field 1: 'shortName' is missing/],
+    [[Object.assign({}, field, {nameInDB: undefined})], /field 1 \(temp\): 'nameInDB' is missing/],
+    [[Object.assign({}, field, {topics: ["nowhere"]})], /'topics' has to be an array of event, sensordata/],
+    [[Object.assign({}, field, {type: "float"})], /'type' has to be one of/],
+    [[Object.assign({}, field, {type: "enum"})], /'values' is missing/],
+    [[Object.assign({}, field, {type: "list"})], /'items' is missing/],
+    [[Object.assign({}, field, {binaryId: 256, binaryType: "u8"})], /'binaryId' has to be an integer from 1 to 255/],
+    [[Object.assign({}, field, {binaryId: 1})], /'binaryType' has to be one of/],
+    [[Object.assign({}, field, {binaryId: 1, binaryType: "u8"}), Object.assign({}, field, {shortName: "humid", binaryId: 1, binaryType: "u8"})],
+      /binaryId 1 is used by more than one field/]
+  ];
+  for (const [schema, message] of cases) assert.match(load(t, schema), message);
+});
+
+test("values outside the limits give their error codes", async t => {
+  const dataTypes = load(t, [
+    {shortName: "EAT", nameInDB: "eat", topics: ["event"], type: "number", integer: true, min: 0, max: 10},
+    {shortName: "temp", nameInDB: "temperature", topics: ["sensordata"], type: "number"},
+    {shortName: "id", nameInDB: "sensortagID", topics: ["event"], type: "hex", maxLength: 4},
+    {shortName: "MSG1", nameInDB: "msg1", topics: ["event"], type: "string", maxLength: 5},
+    {shortName: "session", nameInDB: "session", topics: ["event"], type: "enum", values: {start: true, end: false}},
+    {shortName: "ACTIVATE", nameInDB: "ACTIVATE", topics: ["event"], type: "list", length: 3, items: {type: "number", min: 0, max: 10}}
+  ]);
+  const cases = [
+    ["EAT", "11", errors.codes.OUT_OF_RANGE],
+    ["EAT", "-1", errors.codes.OUT_OF_RANGE],
+    ["EAT", "2.5", errors.codes.NOT_INTEGER],
+    ["temp", "27.8C", errors.codes.NOT_NUMBER],
+    ["temp", "", errors.codes.NOT_NUMBER],
+    ["id", "12345", errors.codes.BAD_HEX],
+    ["id", "12g4", errors.codes.BAD_HEX],
+    ["MSG1", "too long", errors.codes.TOO_LONG],
+    ["session", "pause", errors.codes.BAD_VALUE],
+    ["ACTIVATE", "1;2", errors.codes.LIST_LENGTH],
+    ["ACTIVATE", "1;2;11", errors.codes.OUT_OF_RANGE]
+  ];
+  for (const [name, value, code] of cases)
+    await assert.rejects(parse(dataTypes, name, value), {code: code}, name + ":" + value);
+});
+
+test("values inside the limits are parsed", async t => {
+  const dataTypes = load(t, [
+    {shortName: "EAT", nameInDB: "eat", topics: ["event"], type: "number", integer: true, min: 0, max: 10, vector: {length: 3, index: 0}},
+    {shortName: "id", nameInDB: "sensortagID", topics: ["event"], type: "hex", maxLength: 4},
+    {shortName: "MSG1", nameInDB: "msg1", topics: ["event"], type: "string", maxLength: 5},
+    {shortName: "ACTIVATE", nameInDB: "ACTIVATE", topics: ["event"], type: "list", length: 3, items: {type: "number", min: 0, max: 10}}
+  ]);
+  assert.deepStrictEqual(await parse(dataTypes, "EAT", "10"), [10, 0, 0]);
+  assert.strictEqual(await parse(dataTypes, "id", "0aBc"), "0aBc");
+  assert.strictEqual(await parse(dataTypes, "MSG1", "hello"), "hello");
+  assert.deepStrictEqual(await parse(dataTypes, "ACTIVATE", "0;5;10"), [0, 5, 10]);
+});
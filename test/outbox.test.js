@@ -0,0 +1,101 @@
+/**
+ * @file outbox.test.js
+ * @brief Tests of the queue of backend messages of outbox.js, saved to a temporary file
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const interface = require("../config");
+const util = require("../lib/util");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+const maxMessages = interface.outbox.maxMessages;
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  interface.outbox.maxMessages = maxMessages;
+  fs.rmSync(dir, {recursive: true, force: true});
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+test.beforeEach(t => {
+  interface.outbox.file = path.join(dir, t.name.replace(/\W+/g, "-") + ".jsonl");
+  interface.outbox.maxMessages = maxMessages;
+});
+
+/**
+ * @brief Start the outbox like the interface does, reading the queue from its file
+ * @return The outbox module
+ */
+function start() {
+  delete require.cache[require.resolve("../lib/outbox")];
+  return require("../lib/outbox");
+}
+
+/**
+ * @brief Send the queued messages
+ * @param outbox The outbox module
+ * @return The sent messages as [topic, msg]
+ */
+function replay(outbox) {
+  let sent = [];
+  outbox.replay((topic, msg) => sent.push([topic, msg]));
+  return sent;
+}
+
+/**
+ * @brief Read the lines of the queue file
+ * @return The entries of the file, or undefined if there is no file
+ */
+function saved() {
+  if (!fs.existsSync(interface.outbox.file)) return undefined;
+  return fs.readFileSync(interface.outbox.file, "utf8").split("\n").filter(line => line).map(line => JSON.parse(line));
+}
+
+test("the queue is sent in order and the file emptied", () => {
+  let outbox = start();
+  for (let i = 1; i <= 3; i++) outbox.add("event", {sensortagID: "0123", n: i});
+  assert.deepStrictEqual(saved().map(entry => entry.msg.n), [1, 2, 3]);
+  assert.deepStrictEqual(replay(outbox), [1, 2, 3].map(n => ["event", {sensortagID: "0123", n: n}]));
+  assert.strictEqual(saved(), undefined);
+  assert.deepStrictEqual(replay(outbox), []);
+});
+
+test("the queue survives a restart", () => {
+  let outbox = start();
+  outbox.add("event", {n: 1});
+  outbox.add("tamagotchiUpdate", {n: 2});
+  fs.appendFileSync(interface.outbox.file, '{"topic":"event","msg":{"n":3'); // cut short by a crash
+  outbox = start();
+  assert.deepStrictEqual(replay(outbox), [["event", {n: 1}], ["tamagotchiUpdate", {n: 2}]]);
+});
+
+test("a full queue drops the oldest messages", () => {
+  interface.outbox.maxMessages = 3;
+  let outbox = start();
+  for (let i = 1; i <= 5; i++) outbox.add("event", {n: i});
+  assert.deepStrictEqual(replay(outbox).map(([topic, msg]) => msg.n), [3, 4, 5]);
+});
+
+test("the file is rewritten without the dropped messages", () => {
+  interface.outbox.maxMessages = 3;
+  let outbox = start();
+  for (let i = 1; i <= 7; i++) outbox.add("event", {n: i});
+  // the 7th line is over twice maxMessages, and the file keeps only the queue
+  assert.deepStrictEqual(saved().map(entry => entry.msg.n), [5, 6, 7]);
+  outbox.add("event", {n: 8});
+  // after a restart only the newest maxMessages are read
+  assert.deepStrictEqual(replay(start()).map(([topic, msg]) => msg.n), [6, 7, 8]);
+});
+
+test("'.queue clear' discards the queue", () => {
+  let outbox = start();
+  outbox.add("event", {n: 1});
+  outbox.command("clear");
+  assert.strictEqual(saved(), undefined);
+  assert.deepStrictEqual(replay(start()), []);
+});
@@ -0,0 +1,76 @@
+/**
+ * @file processing.test.js
+ * @brief Tests of the downsampling, window averages and statistics of processing.js
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const processing = require("../lib/processing");
+const errors = require("../lib/errors");
+const util = require("../lib/util");
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+/**
+ * @brief Read options given after 'session:start'
+ * @param text The options, like 'every=4;stats'
+ * @return The options, with the others off
+ */
+function options(text) {
+  return Object.assign({every: 1, window: 0, stats: false}, processing.parseOptions(text));
+}
+
+test("the options of session:start", () => {
+  assert.deepStrictEqual(processing.parseOptions("every=4; window=100 ;stats"), {every: 4, window: 100, stats: true});
+  assert.strictEqual(processing.parseOptions("stats=0").stats, false);
+  for (const text of ["every=0", "every=1.5", "window", "window=-1", "stats=2", "average"])
+    assert.throws(() => processing.parseOptions(text), {code: errors.codes.BAD_VALUE}, text);
+});
+
+test("every keeps every Nth row, counted over the chunks", () => {
+  const columns = {timeStamp: [0, 1, 2, 3, 4, 5, 6], temperature: [10, 11, 12, 13, 14, 15, 16]};
+  assert.deepStrictEqual(processing.apply(columns, options("every=3")).columns, {timeStamp: [0, 3, 6], temperature: [10, 13, 16]});
+  // a chunk after 5 rows: its rows are 5 to 11 of the session, and rows 6 and 9 are kept
+  assert.deepStrictEqual(processing.apply(columns, options("every=3"), 5).columns, {timeStamp: [1, 4], temperature: [11, 14]});
+  assert.strictEqual(processing.apply(columns, options("every=1")).columns, columns);
+});
+
+test("window averages the rows of each window, and a row on a boundary begins the next one", () => {
+  const columns = {
+    timeStamp: [0, 50, 99, 100, 199, 200, 450],
+    temperature: [10, 20, 30, 40, null, 5, 7],
+    humidity: [null, null, null, 1, 2, null, null],
+    msg1: ["a", "b", null, null, null, null, null]
+  };
+  assert.deepStrictEqual(processing.apply(columns, options("window=100")).columns, {
+    timeStamp: [0, 100, 200, 400],
+    temperature: [20, 40, 5, 7],
+    humidity: [null, 1.5, null, null],
+    msg1: ["b", null, null, null]
+  });
+});
+
+test("every is applied before window", () => {
+  const columns = {timeStamp: [0, 10, 20, 30, 100, 110], temperature: [1, 100, 3, 100, 5, 100]};
+  assert.deepStrictEqual(processing.apply(columns, options("every=2;window=100")).columns, {timeStamp: [0, 100], temperature: [2, 5]});
+});
+
+test("stats of all rows, without the missing values", () => {
+  const columns = {
+    timeStamp: [0, 1, 2, 3, 4],
+    temperature: [2, null, 4, 4, 4],
+    humidity: [null, null, null, null, null],
+    pressure: [0.1, 0.2, null, null, null]
+  };
+  let result = processing.apply(columns, options("every=2;stats"));
+  assert.deepStrictEqual(result.stats, {
+    temperature: {count: 4, min: 2, max: 4, mean: 3.5, stddev: 0.866025403784},
+    pressure: {count: 2, min: 0.1, max: 0.2, mean: 0.15, stddev: 0.05}
+  });
+  assert.deepStrictEqual(result.columns.timeStamp, [0, 2, 4]);
+  assert.strictEqual(processing.apply(columns, options("")).stats, undefined);
+});
@@ -0,0 +1,96 @@
+/**
+ * @file reader.test.js
+ * @brief Tests of reading received messages with reader.js
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const interface = require("../config");
+const reader = require("../lib/reader");
+const uart = require("../lib/uart");
+const util = require("../lib/util");
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+/**
+ * @brief Read a text message
+ * @param text The message
+ * @return Promise of the decoded data by topic, or rejected with the error lines
+ */
+function read(text) {
+  return reader.unwrap(Buffer.from(text, "binary"));
+}
+
+test("a quoted value keeps its commas, colons and spaces", async () => {
+  let result = await read('id:0123,MSG1:"Health, 40%",MSG2: " Temp: 21,5 C "');
+  assert.deepStrictEqual(result.additionalMessages, {sensortagID: "0123", msg1: "Health, 40%", msg2: " Temp: 21,5 C "});
+});
+
+test("escaped quotes and backslashes inside quotes", async () => {
+  let result = await read('id:0123,MSG1:"say \\"hi\\" \\\\o/",MSG2:"a\\b"');
+  assert.deepStrictEqual(result.additionalMessages, {sensortagID: "0123", msg1: 'say "hi" \\o/', msg2: "a\\b"});
+});
+
+test("escaped delimiters outside quotes", async () => {
+  let result = await read("id:0123,MSG1:Temp 21\\,5 C,MSG2:back\\\\slash\\n");
+  assert.deepStrictEqual(result.additionalMessages, {sensortagID: "0123", msg1: "Temp 21,5 C", msg2: "back\\slash\\n"});
+});
+
+test("unquoted values are trimmed, and quotes inside them are kept", async () => {
+  let result = await read('id:0123, MSG1 :  5" screen ,MSG2:it"s');
+  assert.deepStrictEqual(result.additionalMessages, {sensortagID: "0123", msg1: '5" screen', msg2: 'it"s'});
+});
+
+test("an unterminated quote is error 1 at the position of the quote", async () => {
+  await assert.rejects(read('id:0123,MSG1:"Health, 40%'), err => {
+    assert.strictEqual(err, "Error: Unterminated quote starting at character 14. (ERR:1)");
+    return true;
+  });
+});
+
+test("text after a closing quote is error 1 at its position", async () => {
+  await assert.rejects(read('id:0123,MSG1:"a"b,MSG2:c'), err => {
+    assert.strictEqual(err, "Error: Unexpected 'b' after the closing quote at character 17. Expected ','. (ERR:1)");
+    return true;
+  });
+});
+
+test("in server use the position is counted in the text the SensorTag sent", async () => {
+  interface.isServer = true;
+  try {
+    await assert.rejects(reader.unwrap(Buffer.concat([Buffer.from([0x23, 0x01]), Buffer.from('MSG1:"abc')])), err => {
+      assert.strictEqual(err, "Error: Unterminated quote starting at character 6. (ERR:1)");
+      return true;
+    });
+  } finally {
+    interface.isServer = false;
+  }
+});
+
+test("all errors of a message are reported together", async () => {
+  await assert.rejects(read("id:0123,tempp:21.5,EAT:11"), err => {
+    assert.deepStrictEqual(err.split("\n"), [
+      'Error: Unknown field label "tempp". Did you mean "temp"? (ERR:10)',
+      "Error: EAT increment has to be from 0 to 10: 11 (ERR:13)"
+    ]);
+    return true;
+  });
+});
+
+test("with -e the error codes are replied to the sender", async t => {
+  let sent = [];
+  t.mock.method(uart, "uartWrite", msg => sent.push(msg));
+  interface.uart.errorReplies = true;
+  try {
+    await assert.rejects(reader.unwrap(Buffer.from("id:0123,foo:1,EAT:x"), {path: "sim://"}));
+    await assert.rejects(reader.unwrap(Buffer.from("id:0123,EAT:11")));
+  } finally {
+    interface.uart.errorReplies = false;
+  }
+  // the message made in the interface itself, without a port, gets no reply
+  assert.deepStrictEqual(sent.map(msg => [msg.addr, msg.path, msg.str]), [["0123", "sim://", "ERR:10;11"]]);
+});
@@ -0,0 +1,86 @@
+/**
+ * @file table.test.js
+ * @brief Tests of the typed-array tables of table.js, and of the memory budget of the sessions
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const interface = require("../config");
+const table = require("../lib/table");
+const processing = require("../lib/processing");
+const session = require("../lib/session");
+const util = require("../lib/util");
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+test("missing values are null, and zero is a value", () => {
+  let t = table.make(["timeStamp", "temperature", "humidity"]);
+  table.add(t, {timeStamp: 0, temperature: 21.5});
+  table.add(t, {timeStamp: 100, humidity: 0, unknown: 5});
+  table.add(t, {timeStamp: 200, temperature: null});
+  assert.strictEqual(t.length, 3);
+  assert.deepStrictEqual(table.toColumns(t), {
+    timeStamp: [0, 100, 200],
+    temperature: [21.5, null, null],
+    humidity: [null, 0, null]
+  });
+});
+
+test("only the columns with values take memory", () => {
+  let t = table.make(["timeStamp", "temperature", "humidity"]), row = {timeStamp: 0, temperature: 21.5};
+  assert.strictEqual(table.bytes(t), 0);
+  // 64 rows of 8 bytes, and a bitmap of 8 bytes, for each of the two columns
+  assert.strictEqual(table.cost(t, row), 2 * (64 * 8 + 8));
+  table.add(t, row);
+  assert.strictEqual(table.bytes(t), 2 * (64 * 8 + 8));
+  assert.strictEqual(t.values.humidity, undefined);
+  // the next rows fit in the allocated columns, until they are full
+  assert.strictEqual(table.cost(t, row), 0);
+  assert.strictEqual(table.cost(t, {humidity: 50}), 64 * 8 + 8);
+  for (let i = 1; i < 64; i++) table.add(t, {timeStamp: i, temperature: 20});
+  assert.strictEqual(table.cost(t, row), 2 * (64 * 8 + 8)); // doubled to 128 rows
+  table.add(t, row);
+  assert.strictEqual(table.bytes(t), 2 * (128 * 8 + 16));
+  assert.strictEqual(table.toColumns(t).temperature.length, 65);
+});
+
+test("a column of text is moved to a plain array", () => {
+  let t = table.make(["timeStamp", "note"]);
+  table.add(t, {timeStamp: 1, note: 2});
+  table.add(t, {timeStamp: 2, note: "text"});
+  table.add(t, {timeStamp: 3});
+  assert.ok(Array.isArray(t.values.note));
+  assert.deepStrictEqual(table.toColumns(t).note, [2, "text", null]);
+  assert.strictEqual(table.bytes(t), (64 * 8 + 8) + (64 * 16 + 8));
+});
+
+test("a row is not added to a session once the memory budget is used", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+  const sessions = interface.sessions.dir, budget = interface.sessions.memoryBudget;
+  const row = {timeStamp: 0, temperature: 21.5};
+  interface.sessions.dir = dir;
+  interface.sessions.memoryBudget = 2 * (64 * 8 + 8); // the first 64 rows of two columns
+  try {
+    session.start("0123", "", processing.parseOptions(), false);
+    for (let i = 0; i < 64; i++) {
+      assert.ok(session.fits("0123", "", row));
+      session.addRow("0123", "", row);
+    }
+    assert.strictEqual(session.fits("0123", "", row), false);
+    // another session shares the same budget
+    session.start("0123", "calib", processing.parseOptions(), false);
+    assert.strictEqual(session.fits("0123", "calib", {timeStamp: 0}), false);
+    session.command("discard all");
+  } finally {
+    interface.sessions.dir = sessions;
+    interface.sessions.memoryBudget = budget;
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+});
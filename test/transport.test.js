@@ -0,0 +1,83 @@
+/**
+ * @file transport.test.js
+ * @brief Tests of the TCP transport in transport.js against a local stand-in for ser2net
+ * @author Vili Pelttari
+ */
+const test = require("node:test");
+const assert = require("assert");
+const net = require("net");
+const { once } = require("events");
+const transport = require("../lib/transport");
+const util = require("../lib/util");
+
+// util.js opens the console on stdin, which would keep the test running
+test.after(() => {
+  util.rl.removeAllListeners("close");
+  util.rl.close();
+});
+
+/**
+ * @brief Open a tcp:// port
+ * @param tcpPort The TCP port of the server
+ * @return Promise of the opened port
+ */
+function openPort(tcpPort) {
+  return new Promise((resolve, reject) => {
+    let port = transport.open("tcp://127.0.0.1:" + tcpPort, {}, err => err ? reject(err) : resolve(port));
+  });
+}
+
+test("tcp:// carries data both ways, and can be opened again after the server drops it", async () => {
+  let sockets = [];
+  const server = net.createServer(socket => sockets.push(socket));
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const tcpPort = server.address().port;
+  try {
+    let port = await openPort(tcpPort), closed, received;
+    assert.ok(port.isOpen);
+    while (sockets.length < 1) await new Promise(resolve => setImmediate(resolve));
+
+    // From the SensorTag to the interface
+    received = once(port, "data");
+    sockets[0].write("id:0123,ping\0");
+    assert.strictEqual((await received)[0].toString(), "id:0123,ping\0");
+
+    // From the interface to the SensorTag
+    received = once(sockets[0], "data");
+    port.write(Buffer.from("pong\0"));
+    assert.strictEqual((await received)[0].toString(), "pong\0");
+
+    // The server drops the connection: the port closes as a disconnected device
+    closed = once(port, "close");
+    sockets[0].destroy();
+    const [err] = await closed;
+    assert.ok(err && err.disconnected, "the close error is marked as disconnected");
+    assert.strictEqual(port.isOpen, false);
+
+    // The interface reconnects by opening the path again
+    port = await openPort(tcpPort);
+    while (sockets.length < 2) await new Promise(resolve => setImmediate(resolve));
+    received = once(port, "data");
+    sockets[1].write("id:0123,EAT:1\0");
+    assert.strictEqual((await received)[0].toString(), "id:0123,EAT:1\0");
+    port.close();
+  } finally {
+    for (const socket of sockets) socket.destroy();
+    server.close();
+  }
+});
+
+test("tcp:// reports a refused connection to the open callback", async () => {
+  const server = net.createServer();
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const tcpPort = server.address().port;
+  server.close();
+  await once(server, "close");
+  await assert.rejects(openPort(tcpPort), err => err.code == "ECONNREFUSED");
+});
+
+test("a tcp:// path without a port is an error", async () => {
+  await assert.rejects(openPort(""), /tcp:\/\/host:port/);
+});